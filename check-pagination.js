@@ -0,0 +1,43 @@
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Brand = require('./models/Brand');
+const { getPageParams, paginate } = require('./utils/pagination');
+const { listPosts } = require('./services/postCatalog');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+
+// Fields older clients read from list responses sent without `page`
+const LEGACY_FIELDS = ['currentPage', 'total', 'totalPages'];
+
+const checkLegacyShape = (name, pageInfo) => {
+  LEGACY_FIELDS.forEach(field => {
+    assert.ok(field in pageInfo, `${name} without page is missing ${field}`);
+  });
+  assert.strictEqual(pageInfo.currentPage, 1, `${name} without page should be page 1`);
+  assert.strictEqual(pageInfo.totalPages, Math.ceil(pageInfo.total / pageInfo.limit), `${name} totalPages doesn't match total`);
+  console.log(`✅ ${name}: page ${pageInfo.currentPage} of ${pageInfo.totalPages} (${pageInfo.total} total)`);
+};
+
+// Checks that GET /api/posts and GET /api/brands called without `page` (or a cursor)
+// still answer with the page-numbered response, totals included
+async function checkPagination() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const posts = await listPosts({}, getPageParams({}), { includeFacets: false });
+    checkLegacyShape('GET /api/posts', posts.pageInfo);
+
+    const brands = await paginate(Brand, { status: 'active' }, getPageParams({}), { sort: { createdAt: -1 } });
+    checkLegacyShape('GET /api/brands', brands.pageInfo);
+
+    console.log('✅ Page-less list calls keep the old response shape');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Pagination check failed:', error.message);
+    process.exit(1);
+  }
+}
+
+checkPagination();
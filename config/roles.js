@@ -0,0 +1,40 @@
+// Roles a user can hold. Every account starts as a buyer.
+const ROLES = ['buyer', 'seller', 'moderator', 'admin', 'support'];
+
+// Permissions granted by each role. Admins get everything through '*'.
+const ROLE_PERMISSIONS = {
+  buyer: [],
+  seller: [],
+  moderator: [
+    'admin:access',
+    'products:read',
+    'brands:read'
+  ],
+  support: [
+    'admin:access',
+    'users:read',
+    'lockouts:manage'
+  ],
+  admin: ['*']
+};
+
+const getPermissions = (roles = []) => {
+  const permissions = new Set();
+  roles.forEach(role => {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  });
+  return permissions;
+};
+
+// Check whether a user (or anything with a roles array) has a permission
+const hasPermission = (user, permission) => {
+  const permissions = getPermissions(user?.roles);
+  return permissions.has('*') || permissions.has(permission);
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
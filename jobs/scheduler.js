@@ -0,0 +1,80 @@
+// Minimal in-process job runner for periodic maintenance tasks.
+// Each job runs on its own interval; a run is skipped if the previous one is still going.
+const jobs = new Map();
+let started = false;
+
+/**
+ * Register a job. `handler` is an async function; `intervalMs` is how often it runs.
+ * Jobs registered after startScheduler() start immediately.
+ */
+const registerJob = (name, handler, { intervalMs, runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  if (!intervalMs || intervalMs <= 0) {
+    throw new Error(`Job "${name}" needs a positive intervalMs`);
+  }
+
+  const job = { name, handler, intervalMs, runOnStart, running: false, timer: null };
+  jobs.set(name, job);
+  if (started) {
+    scheduleJob(job);
+  }
+  return job;
+};
+
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+  job.running = true;
+  try {
+    await job.handler();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleJob = (job) => {
+  job.timer = setInterval(() => runJob(job), job.intervalMs);
+  // Don't keep the process alive just for maintenance jobs
+  job.timer.unref();
+  if (job.runOnStart) {
+    runJob(job);
+  }
+};
+
+// Run a registered job right away (e.g. from a script), outside its interval
+const runJobNow = (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Job "${name}" is not registered`);
+  }
+  return runJob(job);
+};
+
+const startScheduler = () => {
+  if (started || process.env.DISABLE_SCHEDULER === 'true') {
+    return;
+  }
+  started = true;
+  jobs.forEach(scheduleJob);
+  console.log(`⏱️  Scheduler started (${jobs.size} job${jobs.size === 1 ? '' : 's'})`);
+};
+
+const stopScheduler = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+  started = false;
+};
+
+module.exports = {
+  registerJob,
+  runJobNow,
+  startScheduler,
+  stopScheduler
+};
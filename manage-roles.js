@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const { ROLES } = require('./config/roles');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+const MIN_PASSWORD_LENGTH = 10;
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  node manage-roles.js bootstrap-admin [email]   Create or promote the first admin');
+  console.log('  node manage-roles.js grant <email> <role>      Grant a role');
+  console.log('  node manage-roles.js revoke <email> <role>     Revoke a role');
+  console.log('  node manage-roles.js list [role]               List users with staff roles (or one role)');
+  console.log('');
+  console.log(`Roles: ${ROLES.join(', ')}`);
+};
+
+const assertRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${role}". Must be one of: ${ROLES.join(', ')}`);
+  }
+};
+
+const findUserByEmail = async (email) => {
+  if (!email) {
+    throw new Error('Email is required');
+  }
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    throw new Error(`User with email ${email} not found`);
+  }
+  return user;
+};
+
+// Create the first admin, or promote an existing account to admin.
+// Refuses to run once an admin exists; use "grant" after that.
+const bootstrapAdmin = async (emailArg) => {
+  const email = (emailArg || process.env.ADMIN_EMAIL || '').toLowerCase().trim();
+  if (!email) {
+    throw new Error('Pass an email or set ADMIN_EMAIL');
+  }
+
+  const existingAdmin = await User.findOne({ roles: 'admin' }).select('email');
+  if (existingAdmin) {
+    console.log(`⚠️  An admin already exists (${existingAdmin.email}).`);
+    console.log('   Use "node manage-roles.js grant <email> admin" or the admin API to add more admins.');
+    return;
+  }
+
+  const user = await User.findOne({ email });
+  if (user) {
+    user.roles = Array.from(new Set([...(user.roles || []), 'admin']));
+    await user.save();
+    console.log(`✅ Promoted existing user ${email} to admin`);
+    return;
+  }
+
+  // No weak default password: use ADMIN_PASSWORD or generate a random one
+  if (process.env.ADMIN_PASSWORD && process.env.ADMIN_PASSWORD.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  const admin = new User({
+    name: process.env.ADMIN_NAME || 'Admin User',
+    email,
+    password, // Will be hashed by pre-save hook
+    roles: ['admin'],
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  await admin.save();
+
+  console.log('✅ Admin user created successfully!');
+  console.log(`   Email: ${email}`);
+  if (generated) {
+    console.log(`   Generated password: ${password}`);
+    console.log('\n⚠️  This password is shown only once. Change it after first login!');
+  }
+};
+
+const grantRole = async (email, role) => {
+  assertRole(role);
+  const user = await findUserByEmail(email);
+  if (user.roles.includes(role)) {
+    console.log(`ℹ️  ${user.email} already has the ${role} role`);
+    return;
+  }
+  user.roles.push(role);
+  await user.save();
+  console.log(`✅ Granted ${role} to ${user.email} (roles: ${user.roles.join(', ')})`);
+};
+
+const revokeRole = async (email, role) => {
+  assertRole(role);
+  const user = await findUserByEmail(email);
+  if (!user.roles.includes(role)) {
+    console.log(`ℹ️  ${user.email} does not have the ${role} role`);
+    return;
+  }
+  if (role === 'admin' && await User.countDocuments({ roles: 'admin' }) <= 1) {
+    throw new Error('Cannot revoke the admin role from the last admin');
+  }
+  user.roles = user.roles.filter(r => r !== role);
+  if (user.roles.length === 0) {
+    user.roles = ['buyer'];
+  }
+  await user.save();
+  console.log(`✅ Revoked ${role} from ${user.email} (roles: ${user.roles.join(', ')})`);
+};
+
+const listRoles = async (role) => {
+  if (role) {
+    assertRole(role);
+  }
+  const query = role
+    ? { roles: role }
+    : { roles: { $in: ['moderator', 'admin', 'support'] } };
+  const users = await User.find(query).select('name email roles').sort({ email: 1 });
+
+  if (users.length === 0) {
+    console.log('No matching users');
+    return;
+  }
+  users.forEach(user => {
+    console.log(`${user.email.padEnd(40)} ${user.roles.join(', ')}`);
+  });
+};
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = {
+    'bootstrap-admin': () => bootstrapAdmin(args[0]),
+    grant: () => grantRole(args[0], args[1]),
+    revoke: () => revokeRole(args[0], args[1]),
+    list: () => listRoles(args[0])
+  };
+
+  if (!commands[command]) {
+    usage();
+    process.exit(command ? 1 : 0);
+  }
+
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    await commands[command]();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+main();
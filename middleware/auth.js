@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const { verifyAccessToken, getClientInfo } = require('../services/sessions');
+const { isApiKey, findActiveApiKey } = require('../services/apiKeys');
+
+// Every authentication failure maps to one of these codes
+const AUTH_ERRORS = {
+  NO_TOKEN: { status: 401, message: 'No token provided' },
+  INVALID_TOKEN: { status: 401, message: 'Invalid token' },
+  TOKEN_EXPIRED: { status: 401, message: 'Token expired' },
+  USER_NOT_FOUND: { status: 401, message: 'User not found. Please log in again.' },
+  INVALID_API_KEY: { status: 401, message: 'Invalid or revoked API key' },
+  INSUFFICIENT_SCOPE: { status: 403, message: 'This token does not grant access to this resource' },
+  API_KEY_NOT_ALLOWED: { status: 403, message: 'API keys cannot be used for this endpoint. Log in instead.' }
+};
+
+class AuthError extends Error {
+  constructor(code) {
+    super(AUTH_ERRORS[code].message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = AUTH_ERRORS[code].status;
+  }
+}
+
+const getBearerToken = (header) => {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// API keys may be sent as "Authorization: Bearer chk_..." or in the X-API-Key header
+const getRequestToken = (req) => {
+  return getBearerToken(req.headers.authorization) || req.headers['x-api-key'] || null;
+};
+
+const resolveApiKey = async (key, ip) => {
+  const apiKey = await findActiveApiKey(key, ip);
+  if (!apiKey) {
+    throw new AuthError('INVALID_API_KEY');
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || user.deletedAt) {
+    throw new AuthError('USER_NOT_FOUND');
+  }
+
+  return {
+    user,
+    auth: {
+      type: 'apiKey',
+      apiKeyId: apiKey._id,
+      scopes: apiKey.scopes
+    }
+  };
+};
+
+/**
+ * Resolve a bearer token or API key to its user and credential.
+ * Session tokens carry every scope ('*'); API keys only the scopes they were created with.
+ */
+const resolveToken = async (token, ip = null) => {
+  if (isApiKey(token)) {
+    return resolveApiKey(token, ip);
+  }
+
+  let decoded;
+  try {
+    decoded = await verifyAccessToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthError('TOKEN_EXPIRED');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      throw new AuthError('INVALID_TOKEN');
+    }
+    throw error;
+  }
+
+  // Purged accounts keep an anonymised record; treat it as gone
+  const user = await User.findById(decoded.userId);
+  if (!user || user.deletedAt) {
+    throw new AuthError('USER_NOT_FOUND');
+  }
+
+  return {
+    user,
+    auth: {
+      type: 'session',
+      sessionId: decoded.sid,
+      scopes: ['*']
+    }
+  };
+};
+
+const hasScopes = (auth, scopes) => {
+  return auth.scopes.includes('*') || scopes.every(scope => auth.scopes.includes(scope));
+};
+
+const sendAuthError = (res, error) => {
+  res.status(error.status).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+};
+
+/**
+ * Build an authentication middleware.
+ *
+ * - required: a valid login token is mandatory (API keys are refused)
+ * - optional: attach req.user when a valid token is sent, otherwise continue anonymously
+ * - scoped:   a login token or an API key that grants every scope listed
+ */
+const authenticate = ({ mode = 'required', scopes = [] } = {}) => async (req, res, next) => {
+  const token = getRequestToken(req);
+
+  if (!token) {
+    if (mode === 'optional') {
+      return next();
+    }
+    return sendAuthError(res, new AuthError('NO_TOKEN'));
+  }
+
+  try {
+    const { user, auth } = await resolveToken(token, getClientInfo(req).ip);
+
+    if (mode === 'required' && auth.type === 'apiKey') {
+      return sendAuthError(res, new AuthError('API_KEY_NOT_ALLOWED'));
+    }
+
+    if (mode === 'scoped' && !hasScopes(auth, scopes)) {
+      return sendAuthError(res, new AuthError('INSUFFICIENT_SCOPE'));
+    }
+
+    req.user = user;
+    req.auth = auth;
+    req.sessionId = auth.sessionId;
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      // A stale token on a public route shouldn't block the request
+      if (mode === 'optional') {
+        return next();
+      }
+      return sendAuthError(res, error);
+    }
+    console.error('Token verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Token verification failed',
+      message: error.message
+    });
+  }
+};
+
+const requireAuth = authenticate();
+const optionalAuth = authenticate({ mode: 'optional' });
+const requireScope = (...scopes) => authenticate({ mode: 'scoped', scopes });
+
+// socket.io handshake middleware: io.use(authenticateSocket)
+const authenticateSocket = async (socket, next) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+
+  try {
+    if (!token) {
+      throw new AuthError('NO_TOKEN');
+    }
+
+    if (isApiKey(token)) {
+      throw new AuthError('API_KEY_NOT_ALLOWED');
+    }
+
+    const { user, auth } = await resolveToken(token);
+    socket.user = user;
+    socket.auth = auth;
+    next();
+  } catch (error) {
+    const socketError = new Error('Authentication error');
+    socketError.data = { code: error instanceof AuthError ? error.code : 'AUTH_FAILED' };
+    next(socketError);
+  }
+};
+
+module.exports = {
+  AuthError,
+  authenticate,
+  requireAuth,
+  optionalAuth,
+  requireScope,
+  authenticateSocket
+};
@@ -0,0 +1,26 @@
+const { hasPermission } = require('../config/roles');
+
+// Middleware to require one or more permissions (all must be granted).
+// Must run after authentication so req.user is set.
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action',
+      code: 'FORBIDDEN',
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
+
+module.exports = { requirePermission };
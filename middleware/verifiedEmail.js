@@ -0,0 +1,22 @@
+// Middleware to require a verified email address.
+// Must run after the route's requireAuth or requireScope so req.user is set.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address before publishing. Check your inbox or request a new verification link.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireVerifiedEmail };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+
+// One-off migration: accounts created before email verification existed are treated as
+// verified, so they can keep creating brands and posts. Accounts without the field are
+// grandfathered; pass --before=YYYY-MM-DD (the day verification was deployed) to also
+// cover older accounts that have since been saved with emailVerified: false.
+async function migrateEmailVerified() {
+  try {
+    const beforeArg = process.argv.slice(2).find(arg => arg.startsWith('--before='));
+    const before = beforeArg ? new Date(beforeArg.slice('--before='.length)) : null;
+    if (before && Number.isNaN(before.getTime())) {
+      throw new Error('--before must be a date, e.g. --before=2024-05-01');
+    }
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const filter = before
+      ? { $or: [{ emailVerified: { $exists: false } }, { emailVerified: false, createdAt: { $lt: before } }] }
+      : { emailVerified: { $exists: false } };
+
+    const result = await User.collection.updateMany(filter, [
+      {
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] }
+        }
+      }
+    ]);
+
+    console.log(`✅ Marked ${result.modifiedCount} existing user(s) as verified`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateEmailVerified();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+
+// One-off migration: replace the old single `provider` field with the
+// `providers` list, derived from the credentials each account actually has.
+async function migrateUserProviders() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const result = await User.collection.updateMany(
+      { $or: [{ providers: { $exists: false } }, { providers: { $size: 0 } }, { provider: { $exists: true } }] },
+      [
+        {
+          $set: {
+            providers: {
+              $concatArrays: [
+                { $cond: [{ $gt: ['$password', null] }, ['local'], []] },
+                { $cond: [{ $gt: ['$googleId', null] }, ['google'], []] }
+              ]
+            }
+          }
+        },
+        { $unset: 'provider' }
+      ]
+    );
+
+    console.log(`✅ Updated providers on ${result.modifiedCount} user(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrateUserProviders();
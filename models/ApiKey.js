@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Scopes an API key can be limited to
+const API_KEY_SCOPES = ['posts:read', 'posts:write', 'brand:read', 'brand:write', 'chat:read'];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters']
+    },
+    // First characters of the key, shown in listings so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    // SHA-256 of the full key; the key itself is only shown once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    scopes: {
+      type: [{
+        type: String,
+        enum: API_KEY_SCOPES
+      }],
+      validate: {
+        validator: function(v) {
+          return v.length > 0;
+        },
+        message: 'At least one scope is required'
+      }
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null
+    },
+    lastUsedIp: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+apiKeySchema.index({ user: 1, revokedAt: 1 });
+
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
 
 const brandSchema = new mongoose.Schema({
   name: {
@@ -63,10 +64,13 @@ const brandSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// deletedAt; deleted documents are hidden from queries until purged
+brandSchema.plugin(softDelete);
+
 // Index for better query performance
 brandSchema.index({ owner: 1, createdAt: -1 });
 brandSchema.index({ name: 1 });
-brandSchema.index({ status: 1 });
+brandSchema.index({ status: 1, createdAt: -1 });
 
 const Brand = mongoose.model('Brand', brandSchema);
 
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+// A problem with one spreadsheet row. `row` is the line number as shown in the sheet.
+const rowErrorSchema = new mongoose.Schema({
+  row: {
+    type: Number,
+    required: true
+  },
+  column: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A bulk import of listings from a spreadsheet into one brand, and its progress
+const importJobSchema = new mongoose.Schema(
+  {
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Brand',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    fileName: {
+      type: String,
+      default: null
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'queued'
+    },
+    // Valid rows that will be created
+    totalRows: {
+      type: Number,
+      default: 0
+    },
+    processedRows: {
+      type: Number,
+      default: 0
+    },
+    createdCount: {
+      type: Number,
+      default: 0
+    },
+    failedCount: {
+      type: Number,
+      default: 0
+    },
+    // Invalid rows left out up front (only with skipInvalid)
+    skippedCount: {
+      type: Number,
+      default: 0
+    },
+    rowErrors: {
+      type: [rowErrorSchema],
+      default: []
+    },
+    posts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post'
+    }],
+    // Why the whole job failed, if it did
+    error: {
+      type: String,
+      default: null
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    finishedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+importJobSchema.virtual('progress').get(function() {
+  if (this.totalRows === 0) {
+    return this.status === 'completed' ? 100 : 0;
+  }
+  return Math.floor((this.processedRows / this.totalRows) * 100);
+});
+
+importJobSchema.index({ user: 1, createdAt: -1 });
+importJobSchema.index({ brand: 1, createdAt: -1 });
+importJobSchema.index({ status: 1, updatedAt: 1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+ImportJob.STATUSES = STATUSES;
+
+module.exports = ImportJob;
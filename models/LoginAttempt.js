@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, one document per account email and per client IP.
+// Kept in MongoDB so limits hold across serverless instances.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    scope: {
+      type: String,
+      enum: ['account', 'ip'],
+      required: true
+    },
+    identifier: {
+      type: String,
+      required: true
+    },
+    failures: {
+      type: Number,
+      default: 0
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    },
+    lockCount: {
+      type: Number,
+      default: 0
+    },
+    // Counters are forgotten after a quiet period
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const OTP_PURPOSES = ['login', 'verify_phone'];
+
+// One-time codes sent by SMS. Only an HMAC of the code is stored.
+const otpCodeSchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String,
+      required: true
+    },
+    purpose: {
+      type: String,
+      enum: OTP_PURPOSES,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    codeHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // Wrong guesses against this code; it stops working after the limit
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    consumedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+otpCodeSchema.index({ phoneNumber: 1, purpose: 1, createdAt: -1 });
+// Keep expired codes for a day so send limits can still count them
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+OtpCode.PURPOSES = OTP_PURPOSES;
+
+module.exports = OtpCode;
@@ -1,4 +1,37 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const MAX_VARIANTS = 50;
+
+// One purchasable version of a post, e.g. { size: 'M', colour: 'Indigo' }
+const variantSchema = new mongoose.Schema({
+  // Option names are lowercase; every variant of a post uses the same names
+  options: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Quantity cannot be negative']
+  },
+  sku: {
+    type: String,
+    trim: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters']
+  },
+  // A subset of the post's images
+  images: {
+    type: [String],
+    default: []
+  }
+});
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -69,9 +102,29 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'sold'],
+    enum: ['draft', 'published', 'sold', 'expired'],
     default: 'published'
   },
+  // A draft with publishAt is published by the scheduler at that time
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  // A published post with expiresAt is marked expired at that time
+  expiresAt: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || !this.publishAt || v > this.publishAt;
+      },
+      message: 'expiresAt must be after publishAt'
+    }
+  },
   tags: {
     type: [String],
     default: []
@@ -84,11 +137,22 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // With variants, price is the lowest variant price and quantity the total stock
   quantity: {
     type: Number,
     default: 1,
     min: [0, 'Quantity cannot be negative']
   },
+  variants: {
+    type: [variantSchema],
+    default: [],
+    validate: {
+      validator: function(v) {
+        return v.length <= MAX_VARIANTS;
+      },
+      message: `A post can have at most ${MAX_VARIANTS} variants`
+    }
+  },
   location: {
     type: String,
     trim: true,
@@ -106,12 +170,67 @@ const postSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Keep the post-level price and stock in step with the variants, the sold status with the
+// stock, and record when a post goes live
+postSchema.pre('validate', function(next) {
+  if (this.variants && this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map(variant => variant.price));
+    this.quantity = this.variants.reduce((sum, variant) => sum + (variant.quantity || 0), 0);
+
+    // Variant images must stay on the post
+    this.variants.forEach(variant => {
+      const images = variant.images.filter(url => this.images.includes(url));
+      if (images.length !== variant.images.length) {
+        variant.images = images;
+      }
+    });
+  }
+
+  if (this.isModified('status') && this.status === 'published') {
+    this.publishedAt = new Date();
+    this.publishAt = null;
+  }
+
+  if (this.isModified('quantity') || this.isModified('variants')) {
+    if (this.quantity === 0 && this.status === 'published') {
+      this.status = 'sold';
+    } else if (this.quantity > 0 && this.status === 'sold') {
+      this.status = 'published';
+    }
+  }
+
+  next();
+});
+
+// deletedAt; deleted documents are hidden from queries until purged
+postSchema.plugin(softDelete);
+
 // Index for better query performance
 postSchema.index({ author: 1, createdAt: -1 });
 postSchema.index({ category: 1, status: 1 });
 postSchema.index({ createdAt: -1 });
+// Catalog sort options and filters
+postSchema.index({ status: 1, price: 1 });
+postSchema.index({ status: 1, views: -1 });
+postSchema.index({ status: 1, likes: -1 });
+postSchema.index({ tags: 1 });
+postSchema.index({ brand: 1, 'variants.sku': 1 });
+// Scheduler lookups
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, expiresAt: 1 });
+// Full-text search (?q=); weights are mirrored in services/postSearch.js
+postSchema.index(
+  { title: 'text', tags: 'text', brandName: 'text', description: 'text', location: 'text' },
+  {
+    name: 'post_text_search',
+    weights: { title: 10, tags: 6, brandName: 4, description: 2, location: 2 },
+    default_language: 'english'
+  }
+);
 
 const Post = mongoose.model('Post', postSchema);
 
+Post.MAX_VARIANTS = MAX_VARIANTS;
+
 module.exports = Post;
 
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Unique views per post per UTC day. A plain collection of daily buckets rather than a
+// MongoDB time-series collection, since those don't support upserts with $inc.
+const postDailyViewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Midnight UTC of the day
+    date: {
+      type: Date,
+      required: true
+    },
+    views: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postDailyViewSchema.index({ post: 1, date: 1 }, { unique: true });
+postDailyViewSchema.index({ author: 1, date: 1 });
+
+const PostDailyView = mongoose.model('PostDailyView', postDailyViewSchema);
+
+module.exports = PostDailyView;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One document per user per liked post. Post.likes is a cached count of these.
+const postLikeSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postLikeSchema.index({ post: 1, user: 1 }, { unique: true });
+postLikeSchema.index({ user: 1, createdAt: -1 });
+
+const PostLike = mongoose.model('PostLike', postLikeSchema);
+
+module.exports = PostLike;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One document per visitor per post while their view is being deduplicated.
+// Removed by the TTL index once the window has passed.
+const postViewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true
+    },
+    // "u:<userId>" for signed-in visitors, otherwise a hash of IP and user agent
+    visitorKey: {
+      type: String,
+      required: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+postViewSchema.index({ post: 1, visitorKey: 1 }, { unique: true });
+postViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PostView = mongoose.model('PostView', postViewSchema);
+
+module.exports = PostView;
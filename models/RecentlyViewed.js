@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How long a signed-in user's viewing history is kept
+const HISTORY_DAYS = 90;
+
+// The posts a signed-in user has looked at, one document per post, for recommendations.
+// Unlike PostView this isn't used for counting; it is refreshed on every view.
+const recentlyViewedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  viewedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+recentlyViewedSchema.index({ user: 1, post: 1 }, { unique: true });
+recentlyViewedSchema.index({ user: 1, viewedAt: -1 });
+recentlyViewedSchema.index({ viewedAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+const RecentlyViewed = mongoose.model('RecentlyViewed', recentlyViewedSchema);
+
+RecentlyViewed.HISTORY_DAYS = HISTORY_DAYS;
+
+module.exports = RecentlyViewed;
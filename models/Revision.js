@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = ['Post', 'Brand'];
+const ACTIONS = ['create', 'update', 'rollback', 'schedule', 'delete', 'restore'];
+
+// One change to a field; values are stored as JSON (dates as ISO strings, ids as strings)
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Audit record of one write to a post or brand. Versions count up from 1 per entity.
+const revisionSchema = new mongoose.Schema(
+  {
+    entityType: {
+      type: String,
+      enum: ENTITY_TYPES,
+      required: true
+    },
+    entity: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'entityType',
+      required: true
+    },
+    version: {
+      type: Number,
+      required: true
+    },
+    action: {
+      type: String,
+      enum: ACTIONS,
+      required: true
+    },
+    changes: {
+      type: [changeSchema],
+      default: []
+    },
+    // Null for changes made by the server itself (e.g. scheduled publishing)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    actorName: {
+      type: String,
+      default: null
+    },
+    rolledBackTo: {
+      type: Number,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+revisionSchema.index({ entityType: 1, entity: 1, version: -1 }, { unique: true });
+revisionSchema.index({ entityType: 1, entity: 1, 'changes.field': 1, version: 1 });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+Revision.ENTITY_TYPES = ENTITY_TYPES;
+Revision.ACTIONS = ACTIONS;
+
+module.exports = Revision;
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // SHA-256 of the current refresh token; the raw token is only ever sent to the client
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false
+    },
+    // Hashes of refresh tokens that were already rotated, used for reuse detection
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    userAgent: {
+      type: String,
+      default: null
+    },
+    device: {
+      type: String,
+      default: 'Unknown device'
+    },
+    ip: {
+      type: String,
+      default: null
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    revokedReason: {
+      type: String,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Site-wide settings changed at runtime by admins (one document per key)
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function(key, value, updatedBy = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { upsert: true, new: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
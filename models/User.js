@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES } = require('../config/roles');
+
+const PROVIDERS = ['local', 'google'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,10 +33,48 @@ const userSchema = new mongoose.Schema({
     sparse: true,
     unique: true
   },
-  provider: {
+  // Sign-in methods linked to this account. Kept in sync with password/googleId on save.
+  providers: {
+    type: [{
+      type: String,
+      enum: PROVIDERS
+    }],
+    default: []
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // When the last verification link was sent, for the resend cooldown
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // E.164 number, only stored once confirmed with an SMS code
+  phoneNumber: {
     type: String,
-    enum: ['local', 'google'],
-    default: 'local'
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  roles: {
+    type: [{
+      type: String,
+      enum: ROLES
+    }],
+    default: ['buyer']
   },
   photoURL: {
     type: String,
@@ -42,6 +84,71 @@ const userSchema = new mongoose.Schema({
     type: Array,
     default: []
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Base32 TOTP secret, set once enrolment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for the first valid code during enrolment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    // jti of the outstanding login challenge; cleared once it is used
+    challengeId: {
+      type: String,
+      select: false
+    }
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpires: {
+    type: Date,
+    select: false
+  },
+  // Account deletion: requested by the user, purged once the grace period ends
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null
+  },
+  // Set on the anonymised record left behind after the purge
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -54,6 +161,41 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Documents written before `providers` existed only have a single `provider` value.
+// Derive the list when they are loaded; migrate-user-providers.js persists it.
+userSchema.pre('init', function(raw) {
+  if ((raw.providers && raw.providers.length > 0) || raw.deletedAt) {
+    return;
+  }
+  const providers = [];
+  if (raw.password || raw.provider === 'local' || (!raw.provider && !raw.googleId)) {
+    providers.push('local');
+  }
+  if (raw.googleId) {
+    providers.push('google');
+  }
+  raw.providers = providers;
+});
+
+// Keep providers in sync with the credentials actually stored
+userSchema.pre('save', function(next) {
+  const passwordChanged = this.isNew || this.isModified('password');
+  const googleChanged = this.isNew || this.isModified('googleId');
+  if (!passwordChanged && !googleChanged) {
+    return next();
+  }
+
+  const providers = new Set(this.providers || []);
+  if (passwordChanged) {
+    this.password ? providers.add('local') : providers.delete('local');
+  }
+  if (googleChanged) {
+    this.googleId ? providers.add('google') : providers.delete('google');
+  }
+  this.providers = PROVIDERS.filter(provider => providers.has(provider));
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new) and exists
@@ -76,14 +218,63 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.hasProvider = function(provider) {
+  return (this.providers || []).includes(provider);
+};
+
+userSchema.methods.hasRole = function(role) {
+  return (this.roles || []).includes(role);
+};
+
+// Create a single-use password reset token.
+// Only the SHA-256 hash is stored; the raw token is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Single-use token for passwordless email login, stored hashed like reset tokens
+userSchema.methods.createMagicLinkToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.magicLinkToken = this.constructor.hashToken(token);
+  this.magicLinkExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return token;
+};
+
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 // Method to remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.magicLinkToken;
+  delete userObject.magicLinkExpires;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ magicLinkToken: 1 }, { sparse: true });
+userSchema.index({ roles: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
+
 const User = mongoose.model('User', userSchema);
+User.PROVIDERS = PROVIDERS;
 
 module.exports = User;
 
@@ -0,0 +1,64 @@
+/*
+ * Soft deletion for a schema: adds `deletedAt` and hides documents that have it set
+ * from find/findOne/findOneAndUpdate/countDocuments/distinct and aggregate.
+ *
+ * Deleted documents are included when the filter mentions `deletedAt` itself
+ * (e.g. { deletedAt: { $ne: null } } for a trash listing), or with
+ * query.setOptions({ withDeleted: true }) / aggregate.option({ withDeleted: true }).
+ * Updates and deletes are not filtered.
+ */
+
+const mentionsDeletedAt = (filter) => {
+  if (!filter || typeof filter !== 'object') {
+    return false;
+  }
+  if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+    return true;
+  }
+  return Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt);
+};
+
+// Stages that have to stay first in a pipeline
+const FIRST_STAGES = ['$geoNear', '$search', '$searchMeta', '$collStats', '$indexStats'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    }
+  });
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+    if (this.getOptions().withDeleted) {
+      // Not a MongoDB option, so don't pass it on
+      delete this.options.withDeleted;
+      return;
+    }
+    if (!mentionsDeletedAt(this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+      delete this.options.withDeleted;
+      return;
+    }
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+      // Merged rather than prepended: a $text match has to stay in the first stage
+      if (!mentionsDeletedAt(first.$match)) {
+        first.$match = { ...first.$match, deletedAt: null };
+      }
+    } else if (first && FIRST_STAGES.some(stage => stage in first)) {
+      pipeline.splice(1, 0, { $match: { deletedAt: null } });
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { purgeDueAccounts } = require('./services/accountDeletion');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+
+// Runs the same purge as the server's hourly job. Useful on serverless
+// deployments where background timers don't run; schedule it with cron.
+async function main() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let total = 0;
+    let purged;
+    do {
+      purged = await purgeDueAccounts();
+      total += purged;
+    } while (purged > 0);
+
+    console.log(`✅ Purged ${total} account(s) whose deletion grace period has ended`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+main();
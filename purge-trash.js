@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { purgeExpiredTrash } = require('./services/trash');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+
+// Runs the same purge as the server's hourly trash job, for deployments
+// where background timers don't run; schedule it with cron.
+async function main() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    let posts = 0;
+    let brands = 0;
+    let purged;
+    do {
+      purged = await purgeExpiredTrash();
+      posts += purged.posts;
+      brands += purged.brands;
+    } while (purged.posts > 0 || purged.brands > 0);
+
+    console.log(`✅ Purged ${posts} post(s) and ${brands} brand(s) past the trash retention period`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+const PostLike = require('./models/PostLike');
+require('dotenv').config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
+const BATCH_SIZE = 500;
+
+// Resets every post's `likes` counter from its like records. The counter is kept in
+// step as likes come and go; run this after restoring data or editing likes by hand.
+async function main() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const counts = await PostLike.aggregate([
+      { $group: { _id: '$post', count: { $sum: 1 } } }
+    ]);
+    const countByPost = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    let fixed = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length > 0) {
+        await Post.bulkWrite(batch);
+        fixed += batch.length;
+        batch = [];
+      }
+    };
+
+    for await (const post of Post.find().select('likes').lean().cursor()) {
+      const likes = countByPost.get(post._id.toString()) || 0;
+      if (post.likes !== likes) {
+        batch.push({ updateOne: { filter: { _id: post._id }, update: { $set: { likes } } } });
+        if (batch.length >= BATCH_SIZE) {
+          await flush();
+        }
+      }
+    }
+    await flush();
+
+    console.log(`✅ Corrected the like count of ${fixed} post(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,68 +1,47 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Post = require('../models/Post');
 const Brand = require('../models/Brand');
+const LoginAttempt = require('../models/LoginAttempt');
+const { requireAuth } = require('../middleware/auth');
+const { ROLES, ROLE_PERMISSIONS } = require('../config/roles');
+const { requirePermission } = require('../middleware/permissions');
+const { isEnforcedForAdmins, setEnforcedForAdmins, isTwoFactorRequired } = require('../services/twoFactor');
+const { DEFAULT_LIMIT, MAX_LIMIT, getPageParams, paginate, PaginationError } = require('../utils/pagination');
+const { buildExportQuery, streamExport, exportFileName, ExportError } = require('../services/postExport');
+const { CatalogQueryError } = require('../services/postCatalog');
 
-// Middleware to authenticate and check if user is admin
-const authenticateAdmin = async (req, res, next) => {
+// When enforcement is on, admins must enrol in 2FA before using the admin API
+const requireTwoFactorIfEnforced = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required'
-      });
-    }
-
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    // Check if user is admin
-    // Option 1: Check by email (set ADMIN_EMAILS in .env)
-    const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.split(',').map(e => e.trim().toLowerCase()) : [];
-    
-    // Option 2: Default admin email
-    const defaultAdminEmail = 'admin@crafthindustan.com';
-    
-    if (!adminEmails.includes(user.email.toLowerCase()) && user.email.toLowerCase() !== defaultAdminEmail) {
+    if (!req.user.twoFactor?.enabled && await isTwoFactorRequired(req.user)) {
       return res.status(403).json({
         success: false,
-        error: 'Admin access required. Contact administrator for access.'
+        error: 'Two-factor authentication is required for admin accounts. Enable it in your account settings.',
+        code: 'TWO_FACTOR_REQUIRED'
       });
     }
-
-    req.admin = user;
-    req.user = user; // For consistency with other routes
     next();
   } catch (error) {
-    console.error('Admin auth error:', error);
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-    res.status(401).json({
+    console.error('Two-factor enforcement check error:', error);
+    res.status(500).json({
       success: false,
-      error: 'Authentication failed'
+      error: 'Server error',
+      message: error.message
     });
   }
 };
 
+// Admins, moderators and support staff can reach the admin API;
+// each route then checks its own permission
+router.use(requireAuth, requirePermission('admin:access'), requireTwoFactorIfEnforced);
+
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Private (Admin only)
-router.get('/stats', authenticateAdmin, async (req, res) => {
+router.get('/stats', requirePermission('stats:read'), async (req, res) => {
   try {
     // Total counts
     const totalUsers = await User.countDocuments();
@@ -191,30 +170,26 @@ router.get('/stats', authenticateAdmin, async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination
-// @access  Private (Admin only)
-router.get('/users', authenticateAdmin, async (req, res) => {
+// @access  Private (Admin, Support)
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const users = await User.find()
-      .select('-password')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .exec();
-
-    const total = await User.countDocuments();
+    const { items: users, pageInfo } = await paginate(User, {}, getPageParams(req.query), {
+      sort: { createdAt: -1 },
+      prepare: (query) => query.select('-password')
+    });
 
     res.json({
       success: true,
       users,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      ...pageInfo
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Get admin users error:', error);
     res.status(500).json({
       success: false,
@@ -226,12 +201,9 @@ router.get('/users', authenticateAdmin, async (req, res) => {
 
 // @route   GET /api/admin/products
 // @desc    Get all products with filters
-// @access  Private (Admin only)
-router.get('/products', authenticateAdmin, async (req, res) => {
+// @access  Private (Admin, Moderator)
+router.get('/products', requirePermission('products:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
     const { category, status, brand } = req.query;
 
     const query = {};
@@ -239,24 +211,25 @@ router.get('/products', authenticateAdmin, async (req, res) => {
     if (status) query.status = status;
     if (brand) query.brand = brand;
 
-    const products = await Post.find(query)
-      .populate('author', 'name email')
-      .populate('brand', 'name')
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .exec();
-
-    const total = await Post.countDocuments(query);
+    const { items: products, pageInfo } = await paginate(Post, query, getPageParams(req.query), {
+      sort: { createdAt: -1 },
+      prepare: (findQuery) => findQuery
+        .populate('author', 'name email')
+        .populate('brand', 'name')
+    });
 
     res.json({
       success: true,
       products,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      ...pageInfo
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Get admin products error:', error);
     res.status(500).json({
       success: false,
@@ -266,33 +239,350 @@ router.get('/products', authenticateAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/products/export
+// @desc    Download posts from every brand as csv, jsonl or an xml product feed (streamed)
+// @access  Private (Admin, Moderator)
+router.get('/products/export', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { format, filter } = await buildExportQuery(req.query);
+    await streamExport(res, filter, { format, fileName: exportFileName('catalog') });
+  } catch (error) {
+    if (res.headersSent) {
+      // Mid-download: cut the connection so the client sees an incomplete file
+      console.error('Admin export stream error:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof ExportError || error instanceof CatalogQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Admin export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/brands
 // @desc    Get all brands with pagination
-// @access  Private (Admin only)
-router.get('/brands', authenticateAdmin, async (req, res) => {
+// @access  Private (Admin, Moderator)
+router.get('/brands', requirePermission('brands:read'), async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const { items: brands, pageInfo } = await paginate(Brand, {}, getPageParams(req.query), {
+      sort: { createdAt: -1 },
+      prepare: (query) => query.populate('owner', 'name email')
+    });
+
+    res.json({
+      success: true,
+      brands,
+      ...pageInfo
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Get admin brands error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/lockouts
+// @desc    List failed-login counters and lockouts (per account and per IP)
+// @access  Private (Admin, Support)
+router.get('/lockouts', requirePermission('lockouts:manage'), async (req, res) => {
+  try {
+    // lockedUntil is often null, which keyset cursors can't order by, so this list stays page-based
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
     const skip = (page - 1) * limit;
+    const { scope, lockedOnly } = req.query;
+
+    const query = {};
+    if (scope) query.scope = scope;
+    if (lockedOnly === 'true') query.lockedUntil = { $gt: new Date() };
 
-    const brands = await Brand.find()
-      .populate('owner', 'name email')
-      .sort({ createdAt: -1 })
+    const lockouts = await LoginAttempt.find(query)
+      .sort({ lockedUntil: -1, lastFailureAt: -1 })
       .limit(limit)
       .skip(skip)
       .exec();
 
-    const total = await Brand.countDocuments();
+    const total = await LoginAttempt.countDocuments(query);
+    const now = new Date();
 
     res.json({
       success: true,
-      brands,
+      lockouts: lockouts.map(attempt => ({
+        id: attempt._id,
+        scope: attempt.scope,
+        identifier: attempt.identifier,
+        failures: attempt.failures,
+        lastFailureAt: attempt.lastFailureAt,
+        lockedUntil: attempt.lockedUntil,
+        locked: !!attempt.lockedUntil && attempt.lockedUntil > now,
+        lockCount: attempt.lockCount
+      })),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
     });
   } catch (error) {
-    console.error('Get admin brands error:', error);
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/lockouts/:id
+// @desc    Clear a lockout and its failed-login counter
+// @access  Private (Admin, Support)
+router.delete('/lockouts/:id', requirePermission('lockouts:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lockout ID'
+      });
+    }
+
+    const attempt = await LoginAttempt.findByIdAndDelete(req.params.id);
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lockout not found'
+      });
+    }
+
+    console.log(`Lockout cleared: ${attempt.key} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Lockout cleared'
+    });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/security
+// @desc    Get security settings
+// @access  Private (Admin only)
+router.get('/security', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const adminsWithoutTwoFactor = await User.countDocuments({
+      roles: 'admin',
+      'twoFactor.enabled': { $ne: true }
+    });
+
+    res.json({
+      success: true,
+      settings: {
+        enforceTwoFactorForAdmins: await isEnforcedForAdmins()
+      },
+      adminsWithoutTwoFactor
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/security
+// @desc    Update security settings, e.g. enforce 2FA for every admin
+// @access  Private (Admin only)
+router.put('/security', requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { enforceTwoFactorForAdmins } = req.body;
+
+    if (typeof enforceTwoFactorForAdmins !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enforceTwoFactorForAdmins must be true or false'
+      });
+    }
+
+    // Don't let an admin lock themselves out of the admin API
+    if (enforceTwoFactorForAdmins && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enable two-factor authentication on your own account before enforcing it'
+      });
+    }
+
+    await setEnforcedForAdmins(enforceTwoFactorForAdmins, req.user._id);
+    console.log(`2FA enforcement for admins set to ${enforceTwoFactorForAdmins} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated',
+      settings: {
+        enforceTwoFactorForAdmins
+      }
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    List the available roles and their permissions
+// @access  Private (Admin only)
+router.get('/roles', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({
+      name: role,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  });
+});
+
+// @route   POST /api/admin/users/:id/roles
+// @desc    Grant a role to a user
+// @access  Private (Admin only)
+router.post('/users/:id/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $addToSet: { roles: role } },
+      { new: true }
+    ).select('name email roles');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log(`Role granted: ${role} -> ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Role ${role} granted`,
+      user
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/roles/:role
+// @desc    Revoke a role from a user
+// @access  Private (Admin only)
+router.delete('/users/:id/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid role. Must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const user = await User.findById(req.params.id).select('name email roles');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!user.roles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `User does not have the ${role} role`
+      });
+    }
+
+    if (user.roles.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'A user must keep at least one role'
+      });
+    }
+
+    // Never lock everyone out of the admin API
+    if (role === 'admin') {
+      const adminCount = await User.countDocuments({ roles: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot revoke the admin role from the last admin'
+        });
+      }
+    }
+
+    user.roles = user.roles.filter(r => r !== role);
+    await user.save();
+
+    console.log(`Role revoked: ${role} -> ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: `Role ${role} revoked`,
+      user
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -0,0 +1,152 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { createApiKey } = require('../services/apiKeys');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ACTIVE_KEYS = 10;
+
+// Shape of an API key in responses (never includes the hash)
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .exec();
+
+    res.json({
+      success: true,
+      scopes: ApiKey.SCOPES,
+      apiKeys: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The key is returned once and cannot be shown again.
+// @access  Private
+router.post('/', requireAuth, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activeCount = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeCount >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { apiKey, key } = await createApiKey(req.user._id, {
+      name,
+      scopes: Array.from(new Set(scopes)),
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      key,
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key ID'
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,88 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const { sendPasswordResetEmail, sendMagicLinkEmail } = require('../services/mailer');
+const { sendEmailVerification, verifyEmailVerificationToken } = require('../services/emailVerification');
+const { verifyGoogleIdToken } = require('../services/googleAuth');
+const {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  getClientInfo
+} = require('../services/sessions');
+const {
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout
+} = require('../services/loginThrottle');
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallenge,
+  verifySecondFactor,
+  isTwoFactorRequired
+} = require('../services/twoFactor');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('../services/totp');
+const { OtpError, OTP_EXPIRE_MINUTES, normalizePhoneNumber, sendOtp, verifyOtp } = require('../services/phoneOtp');
+const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: JWT_EXPIRE
+// Login refusals by throttle code; a locked IP isn't fixed by resetting a password
+const THROTTLE_MESSAGES = {
+  TOO_MANY_ATTEMPTS: 'Too many failed login attempts. Please wait before trying again.',
+  ACCOUNT_LOCKED: 'Too many failed login attempts. Try again later or reset your password to unlock your account.',
+  IP_LOCKED: 'Too many failed login attempts from your network. Please try again later.'
+};
+
+// Shape of the user object returned by the auth endpoints
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  photoURL: user.photoURL,
+  wishlist: user.wishlist || [],
+  emailVerified: !!user.emailVerified,
+  phoneNumber: user.phoneNumber || null,
+  phoneVerified: !!user.phoneVerified,
+  roles: user.roles || [],
+  providers: user.providers || [],
+  twoFactorEnabled: !!user.twoFactor?.enabled,
+  deletionScheduledFor: user.deletionScheduledFor || null,
+  createdAt: user.createdAt
+});
+
+// Finish a login whose first factor succeeded: ask for a 2FA code when the
+// user has it enabled, otherwise start a session right away
+const completeLogin = async (req, res, user, { message, method }) => {
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      message: 'Enter the code from your authenticator app to finish logging in',
+      twoFactorToken: await createChallengeToken(user, method)
+    });
+  }
+
+  const tokens = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: formatUser(user)
   });
 };
 
@@ -61,21 +132,22 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification link; registration still succeeds if email delivery fails
+    try {
+      await sendEmailVerification(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        wishlist: user.wishlist,
-        createdAt: user.createdAt
-      }
+      message: 'User registered successfully. Please check your email to verify your account.',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: formatUser(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -110,42 +182,37 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const { ip } = getClientInfo(req);
 
-    // Find user and include password field
-    const user = await User.findOne({ email }).select('+password');
-    
-    if (!user) {
-      return res.status(401).json({
+    // Refuse early while the account or IP is delayed or locked out; otherwise the
+    // attempt is counted before the password is checked
+    const throttle = await beginLoginAttempt({ email, ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
         success: false,
-        error: 'Invalid email or password'
+        error: THROTTLE_MESSAGES[throttle.code],
+        code: throttle.code,
+        retryAfter: throttle.retryAfter
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
+    // Find user and include password field
+    const user = await User.findOne({ email }).select('+password');
+
+    // Check password (Google-only accounts have none)
+    const isPasswordValid = !!user && !!user.password && await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure({ email, ip });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordLoginSuccess({ email, ip });
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        wishlist: user.wishlist,
-        createdAt: user.createdAt
-      }
-    });
+    await completeLogin(req, res, user, { message: 'Login successful', method: 'password' });
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -156,51 +223,118 @@ router.post('/login', [
   }
 });
 
-// @route   GET /api/auth/me
-// @desc    Get current user
-// @access  Private
-router.get('/me', async (req, res) => {
+// @route   POST /api/auth/magic-link
+// @desc    Email a single-use passwordless login link
+// @access  Public
+router.post('/magic-link', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
   try {
-    // Get token from header
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'No token provided'
+        errors: errors.array()
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const { email } = req.body;
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists with this email, a login link has been sent.'
+    };
 
-    if (!user) {
-      return res.status(404).json({
+    const user = await User.findOne({ email }).select('+magicLinkToken +magicLinkExpires');
+    if (!user || user.deletedAt) {
+      // Don't reveal if user exists
+      return res.json(genericResponse);
+    }
+
+    // A link sent within the last minute is still on its way; don't flood the inbox
+    const resendAfter = user.magicLinkExpires
+      ? user.magicLinkExpires.getTime() - (MAGIC_LINK_EXPIRE_MINUTES - 1) * 60 * 1000
+      : 0;
+    if (Date.now() < resendAfter) {
+      return res.json(genericResponse);
+    }
+
+    const token = user.createMagicLinkToken(MAGIC_LINK_EXPIRE_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendMagicLinkEmail(user, token, MAGIC_LINK_EXPIRE_MINUTES);
+    } catch (mailError) {
+      console.error('Magic link email error:', mailError);
+      user.magicLinkToken = undefined;
+      user.magicLinkExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
         success: false,
-        error: 'User not found'
+        error: 'Could not send login link. Please try again later.'
       });
     }
 
-    res.json({
-      success: true,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        wishlist: user.wishlist,
-        createdAt: user.createdAt
-      }
-    });
+    res.json(genericResponse);
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
+    console.error('Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/verify
+// @desc    Log in with the token from an emailed login link
+// @access  Public
+router.post('/magic-link/verify', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Login token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid token'
+        errors: errors.array()
       });
     }
-    console.error('Get user error:', error);
+
+    // Clearing the token in the same update makes the link single-use
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: User.hashToken(req.body.token),
+        magicLinkExpires: { $gt: new Date() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Login link is invalid or has expired'
+      });
+    }
+
+    // Opening the link proves access to the inbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    await recordLoginSuccess({ email: user.email });
+
+    await completeLogin(req, res, user, { message: 'Login successful', method: 'magic_link' });
+  } catch (error) {
+    console.error('Magic link login error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -209,111 +343,158 @@ router.get('/me', async (req, res) => {
   }
 });
 
-// @route   POST /api/auth/google
-// @desc    Login/Register with Google (Firebase)
+// @route   POST /api/auth/phone/request-otp
+// @desc    Text a login code to a verified phone number
 // @access  Public
-router.post('/google', async (req, res) => {
+router.post('/phone/request-otp', [
+  body('phoneNumber')
+    .isString()
+    .notEmpty()
+    .withMessage('Phone number is required')
+], async (req, res) => {
   try {
-    const { idToken, userInfo } = req.body;
-
-    console.log('Google login request:', { 
-      hasIdToken: !!idToken, 
-      hasUserInfo: !!userInfo,
-      userInfoEmail: userInfo?.email 
-    });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    if (!idToken || !userInfo) {
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
       return res.status(400).json({
         success: false,
-        error: 'Firebase ID token and user info are required',
-        received: {
-          hasIdToken: !!idToken,
-          hasUserInfo: !!userInfo
-        }
+        error: 'Please provide a valid phone number'
       });
     }
 
-    // Verify Firebase ID token (optional server-side verification)
-    // For now, we trust Firebase client-side verification
-    // In production, you should verify the token server-side using Firebase Admin SDK
-    
-    const { name, email, photoURL } = userInfo;
-    const googleId = idToken; // Use token as unique identifier, or extract from token
+    const genericResponse = {
+      success: true,
+      message: 'If this number is linked to an account, a login code has been sent.',
+      expiresInMinutes: OTP_EXPIRE_MINUTES
+    };
 
-    if (!email) {
-      return res.status(400).json({
+    const user = await User.findOne({ phoneNumber, phoneVerified: true });
+    if (!user || user.deletedAt) {
+      return res.json(genericResponse);
+    }
+
+    await sendOtp({ phoneNumber, purpose: 'login', user });
+
+    res.json(genericResponse);
+  } catch (error) {
+    if (error instanceof OtpError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
         success: false,
-        error: 'Email is required'
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter
       });
     }
+    console.error('Phone OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
-    // Check if user exists with this email
-    let user = await User.findOne({ email });
+// @route   POST /api/auth/phone/verify-otp
+// @desc    Log in with a phone number and the texted code
+// @access  Public
+router.post('/phone/verify-otp', [
+  body('phoneNumber')
+    .isString()
+    .notEmpty()
+    .withMessage('Phone number is required'),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    const user = phoneNumber && await User.findOne({ phoneNumber, phoneVerified: true });
     if (!user) {
-      // Create new user
-      console.log('Creating new Google user:', email);
-      user = new User({
-        name: name || email.split('@')[0] || 'User',
-        email,
-        googleId: email, // Use email as identifier for Firebase users
-        provider: 'google',
-        photoURL: photoURL || null,
-        wishlist: []
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired code'
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const { ip } = getClientInfo(req);
+    const throttle = await beginLoginAttempt({ email: user.email, ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait before trying again.',
+        code: throttle.code,
+        retryAfter: throttle.retryAfter
       });
-      await user.save();
-      console.log('New user created:', user._id);
-    } else {
-      // Update existing user if needed
-      console.log('Existing user found:', user._id);
-      if (!user.googleId) {
-        user.googleId = email;
-        user.provider = 'google';
-      }
-      if (!user.name && name) {
-        user.name = name;
-      }
-      if (photoURL && !user.photoURL) {
-        user.photoURL = photoURL;
-      }
-      await user.save();
     }
 
-    // Generate JWT token for our backend
-    const jwtToken = generateToken(user._id);
-    console.log('JWT token generated for user:', user._id);
+    const otp = await verifyOtp({ phoneNumber, purpose: 'login', code: req.body.code });
+    if (!otp || otp.user.toString() !== user._id.toString()) {
+      await recordLoginFailure({ email: user.email, ip });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired code'
+      });
+    }
+
+    await recordLoginSuccess({ email: user.email, ip });
+
+    await completeLogin(req, res, user, { message: 'Login successful', method: 'phone_otp' });
+  } catch (error) {
+    console.error('Phone OTP login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get('/me', requireAuth, async (req, res) => {
+  try {
     res.json({
       success: true,
-      message: 'Google login successful',
-      token: jwtToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        photoURL: user.photoURL,
-        wishlist: user.wishlist || [],
-        createdAt: user.createdAt
-      }
+      user: formatUser(req.user)
     });
   } catch (error) {
-    console.error('Google login error:', error);
+    console.error('Get user error:', error);
     res.status(500).json({
       success: false,
-      error: 'Google authentication failed',
+      error: 'Server error',
       message: error.message
     });
   }
 });
 
-// @route   POST /api/auth/reset-password
-// @desc    Request password reset
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
 // @access  Public
-router.post('/reset-password', [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address')
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -324,25 +505,1080 @@ router.post('/reset-password', [
       });
     }
 
-    const { email } = req.body;
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
 
-    const user = await User.findOne({ email });
-    if (!user) {
-      // Don't reveal if user exists for security
-      return res.json({
-        success: true,
-        message: 'If an account exists with this email, a password reset link has been sent.'
+    res.json({
+      success: true,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn
+    });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
       });
     }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
 
-    // TODO: Implement email sending service (e.g., nodemailer, SendGrid)
-    // For now, return success message
     res.json({
       success: true,
-      message: 'Password reset email sent (not yet implemented)'
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session of the current user, including this one
+// @access  Private
+router.post('/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, { reason: 'logout_all' });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await revokeSession(req.user._id, req.params.id, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/google
+// @desc    Login/Register with Google (Firebase)
+// @access  Public
+router.post('/google', [
+  body('idToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Google ID token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Identity comes only from the verified token claims, never from the request body
+    let claims;
+    try {
+      claims = await verifyGoogleIdToken(req.body.idToken);
+    } catch (verifyError) {
+      console.error('Google ID token verification failed:', verifyError.message);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired Google ID token'
+      });
+    }
+
+    const { googleId, email, emailVerified, name, photoURL } = claims;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Google account has no email address'
+      });
+    }
+
+    let user = await User.findOne({ googleId });
+
+    if (!user) {
+      const existingUser = await User.findOne({ email }).select('+password');
+
+      if (existingUser) {
+        // Older Google accounts stored the email as googleId; replace it with the real subject.
+        // Anything else has to be linked explicitly from a logged-in session.
+        if (existingUser.googleId !== email) {
+          return res.status(409).json({
+            success: false,
+            error: existingUser.googleId
+              ? 'This email is already linked to a different Google account'
+              : 'An account with this email already exists. Log in with your password and link Google from your account settings.',
+            code: existingUser.googleId ? 'GOOGLE_ACCOUNT_MISMATCH' : 'ACCOUNT_EXISTS_LINK_REQUIRED'
+          });
+        }
+
+        if (!emailVerified) {
+          return res.status(403).json({
+            success: false,
+            error: 'Your Google email address is not verified'
+          });
+        }
+
+        existingUser.googleId = googleId;
+        user = existingUser;
+      } else {
+        console.log('Creating new Google user:', email);
+        user = new User({
+          name: name || email.split('@')[0] || 'User',
+          email,
+          googleId,
+          photoURL: photoURL || null,
+          emailVerified,
+          emailVerifiedAt: emailVerified ? new Date() : null,
+          wishlist: []
+        });
+      }
+    }
+
+    if (!user.name && name) {
+      user.name = name;
+    }
+    if (photoURL && !user.photoURL) {
+      user.photoURL = photoURL;
+    }
+    if (emailVerified && !user.emailVerified && user.email === email) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await completeLogin(req, res, user, { message: 'Google login successful', method: 'google' });
+  } catch (error) {
+    console.error('Google login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Google authentication failed',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/change-password
+// @desc    Change the password of the logged-in user and sign out every other session
+// @access  Private
+router.post('/change-password', requireAuth, [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account has no password yet. Use POST /api/auth/link/password to add one.',
+        code: 'NO_PASSWORD'
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password must be different from the current password'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this session; every other device has to log in with the new password
+    const revokedCount = await revokeAllSessions(user._id, {
+      reason: 'password_changed',
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Password changed. Other devices have been signed out.',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/link/google
+// @desc    Link a Google identity to the logged-in account
+// @access  Private
+router.post('/link/google', requireAuth, [
+  body('idToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Google ID token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let claims;
+    try {
+      claims = await verifyGoogleIdToken(req.body.idToken);
+    } catch (verifyError) {
+      console.error('Google ID token verification failed:', verifyError.message);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired Google ID token'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.googleId === claims.googleId) {
+      return res.json({
+        success: true,
+        message: 'This Google account is already linked',
+        user: formatUser(user)
+      });
+    }
+
+    if (user.googleId) {
+      return res.status(409).json({
+        success: false,
+        error: 'A different Google account is already linked. Unlink it first.',
+        code: 'PROVIDER_ALREADY_LINKED'
+      });
+    }
+
+    const owner = await User.findOne({ googleId: claims.googleId }).select('_id');
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        error: 'This Google account is already linked to another user',
+        code: 'GOOGLE_ACCOUNT_IN_USE'
+      });
+    }
+
+    user.googleId = claims.googleId;
+    // Google vouching for the same address counts as verifying it
+    if (claims.emailVerified && claims.email === user.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Google account linked',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Link Google error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/link/password
+// @desc    Add a password to an account that only signs in with Google
+// @access  Private
+router.post('/link/password', requireAuth, [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.password) {
+      return res.status(409).json({
+        success: false,
+        error: 'This account already has a password. Use POST /api/auth/change-password instead.',
+        code: 'PROVIDER_ALREADY_LINKED'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password added. You can now also log in with your email and password.',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Link password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/auth/link/:provider
+// @desc    Unlink a sign-in method ("google" or "local"). Requires the current password,
+//          and the account must keep at least one other way to sign in.
+// @access  Private
+router.delete('/link/:provider', requireAuth, [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { provider } = req.params;
+    if (!User.PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Provider must be one of: ${User.PROVIDERS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `${provider} sign-in is not linked to this account`
+      });
+    }
+
+    if (user.providers.length <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove your only way to sign in',
+        code: 'LAST_PROVIDER'
+      });
+    }
+
+    // Only accounts with both a password and Google get here, so a password always exists
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password is incorrect'
+      });
+    }
+
+    if (provider === 'google') {
+      user.googleId = undefined;
+    } else {
+      user.password = undefined;
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `${provider === 'google' ? 'Google' : 'Password'} sign-in removed`,
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Unlink provider error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second login step: exchange the 2FA challenge and a code for a session
+// @access  Public
+router.post('/2fa/verify', [
+  body('twoFactorToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Two-factor token is required'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recoveryCode')
+    .optional()
+    .isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'An authenticator code or a recovery code is required'
+      });
+    }
+
+    const challenge = verifyChallengeToken(twoFactorToken);
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_EXPIRED'
+      });
+    }
+
+    const user = await User.findById(challenge.userId).select(`${TWO_FACTOR_SECRET_FIELDS} +twoFactor.challengeId`);
+    // A used challenge, or one replaced by a newer login, can't be retried
+    if (!user || user.twoFactor?.challengeId !== challenge.jti) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_EXPIRED'
+      });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const { ip } = getClientInfo(req);
+    const throttle = await beginLoginAttempt({ email: user.email, ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait before trying again.',
+        code: throttle.code,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      await recordLoginFailure({ email: user.email, ip });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    // Only one request can use the challenge, even if several arrive with a valid code
+    if (!await consumeChallenge(challenge)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor session expired. Please log in again.',
+        code: 'TWO_FACTOR_EXPIRED'
+      });
+    }
+
+    await user.save();
+    await recordLoginSuccess({ email: user.email, ip });
+
+    const tokens = await createSession(user, req);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      user: formatUser(user),
+      ...(result.method === 'recovery_code' && { recoveryCodesRemaining: result.recoveryCodesRemaining })
+    });
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the current user's two-factor status
+// @access  Private
+router.get('/2fa', requireAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      twoFactor: {
+        enabled: !!user.twoFactor?.enabled,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0,
+        required: await isTwoFactorRequired(user)
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment and get the otpauth URI for an authenticator app
+// @access  Private
+router.post('/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpAuthUri(secret, req.user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Finish enrolment with a first code; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/confirm', requireAuth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+    const pendingSecret = user.twoFactor?.pendingSecret;
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyCode(pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each can be used once.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', requireAuth, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    // Code guesses count towards the login lockout, so a stolen token can't brute-force them
+    const { ip } = getClientInfo(req);
+    const throttle = await beginLoginAttempt({ email: user.email, ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait before trying again.',
+        code: throttle.code,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const result = verifySecondFactor(user, { code: req.body.code });
+    if (!result.valid) {
+      await recordLoginFailure({ email: user.email, ip });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    await recordLoginSuccess({ email: user.email, ip });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The old ones no longer work.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires a code or a recovery code)
+// @access  Private
+router.post('/2fa/disable', requireAuth, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for admin accounts',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    // Code guesses count towards the login lockout, so a stolen token can't brute-force them
+    const { ip } = getClientInfo(req);
+    const throttle = await beginLoginAttempt({ email: user.email, ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many failed attempts. Please wait before trying again.',
+        code: throttle.code,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      await recordLoginFailure({ email: user.email, ip });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+    await recordLoginSuccess({ email: user.email, ip });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with the emailed verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyEmailVerificationToken(req.body.token);
+    if (!decoded) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(decoded.userId);
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      user: formatUser(user)
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification link
+// @access  Public
+router.post('/verify-email/resend', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same answer whether or not the account exists, is verified, is within the resend
+    // cooldown or the mail couldn't be sent
+    if (user && !user.emailVerified) {
+      try {
+        await sendEmailVerification(user, { cooldown: true });
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists with this email, a verification link has been sent.'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Request password reset
+// @access  Public
+router.post('/reset-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists with this email, a password reset link has been sent.'
+    };
+
+    const user = await User.findOne({ email }).select('+password');
+    if (!user) {
+      // Don't reveal if user exists for security
+      return res.json(genericResponse);
+    }
+
+    // Google-only accounts have no password to reset; they can add one after logging in
+    if (!user.password) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account signs in with Google. Please use "Continue with Google" instead of resetting a password.',
+        providers: user.providers
+      });
+    }
+
+    const resetToken = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, resetToken, PASSWORD_RESET_EXPIRE_MINUTES);
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Could not send password reset email. Please try again later.'
+      });
+    }
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password/confirm
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password/confirm', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordResetToken +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    // New password is hashed by the pre-save hook; clearing the token makes it single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Tokens issued before the reset must stop working
+    await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+    // Proving access to the inbox also lifts a login lockout
+    await clearAccountLockout(user.email);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. You can now log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Confirm reset password error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
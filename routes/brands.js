@@ -1,16 +1,23 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const cloudinary = require('../config/cloudinary');
 const Brand = require('../models/Brand');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { requireScope } = require('../middleware/auth');
+const { getPageParams, paginate, PaginationError } = require('../utils/pagination');
+const { snapshot, recordRevision } = require('../services/revisions');
+const { createRevisionRouter } = require('./revisions');
+const { softDeleteBrand, restoreBrand, purgeDateFor, TrashError } = require('../services/trash');
+const { hasPermission } = require('../config/roles');
+const { buildExportQuery, streamExport, exportFileName, ExportError } = require('../services/postExport');
+const { CatalogQueryError } = require('../services/postCatalog');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -27,44 +34,6 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found. Please log in again.'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-    res.status(500).json({
-      success: false,
-      error: 'Token verification failed'
-    });
-  }
-};
-
 // Helper function to upload image to Cloudinary
 const uploadToCloudinary = (buffer) => {
   return new Promise((resolve, reject) => {
@@ -114,7 +83,7 @@ const handleMulterError = (err, req, res, next) => {
 // @route   POST /api/brands
 // @desc    Create a new brand
 // @access  Private
-router.post('/', authenticateToken, (req, res, next) => {
+router.post('/', requireScope('brand:write'), requireVerifiedEmail, (req, res, next) => {
   upload.single('picture')(req, res, (err) => {
     if (err) {
       return handleMulterError(err, req, res, next);
@@ -174,6 +143,19 @@ router.post('/', authenticateToken, (req, res, next) => {
     });
 
     await brand.save();
+    await recordRevision({
+      entityType: 'Brand',
+      entity: brand._id,
+      before: {},
+      after: snapshot('Brand', brand),
+      actor: req.user,
+      action: 'create'
+    });
+
+    // Owning a brand makes the user a seller
+    if (!req.user.hasRole('seller')) {
+      await User.updateOne({ _id: req.user._id }, { $addToSet: { roles: 'seller' } });
+    }
 
     res.status(201).json({
       success: true,
@@ -191,21 +173,19 @@ router.post('/', authenticateToken, (req, res, next) => {
 });
 
 // @route   GET /api/brands
-// @desc    Get all brands (public)
+// @desc    Get all brands (public). Cursor paginated; ?page= still works.
 // @access  Public
 router.get('/', async (req, res) => {
   try {
     console.log('GET /api/brands - Fetching all brands');
-    const { page = 1, limit = 20, status = 'active' } = req.query;
+    const { status = 'active' } = req.query;
     const query = { status };
-    console.log('Query params:', { page, limit, status });
+    const pageParams = getPageParams(req.query);
 
-    const brands = await Brand.find(query)
-      .populate('owner', 'name email photoURL')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    const { items: brands, pageInfo } = await paginate(Brand, query, pageParams, {
+      sort: { createdAt: -1 },
+      prepare: (findQuery) => findQuery.populate('owner', 'name email photoURL')
+    });
 
     // Recalculate postCount and set default establishedYear for each brand
     const Post = require('../models/Post');
@@ -232,33 +212,27 @@ router.get('/', async (req, res) => {
         needsSave = true;
       }
       
-      // Save if any updates were made
+      // Save if any updates were made; the documents in `brands` are updated in place
       if (needsSave) {
         await brand.save();
         console.log(`Brands list - Saved brand ${brandId} - establishedYear: ${brand.establishedYear}, postCount: ${brand.postCount}`);
       }
     }
-    
-    // Reload all brands to get updated values
-    const updatedBrands = await Brand.find(query)
-      .populate('owner', 'name email photoURL')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
 
-    const total = await Brand.countDocuments(query);
-
-    console.log(`Found ${updatedBrands.length} brands out of ${total} total`);
+    console.log(`Found ${brands.length} brands`);
 
     res.json({
       success: true,
-      brands: updatedBrands,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      brands,
+      ...pageInfo
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Get brands error:', error);
     res.status(500).json({
       success: false,
@@ -271,7 +245,7 @@ router.get('/', async (req, res) => {
 // @route   GET /api/brands/my-brands
 // @desc    Get current user's brand (only 1 brand allowed)
 // @access  Private
-router.get('/my-brands', authenticateToken, async (req, res) => {
+router.get('/my-brands', requireScope('brand:read'), async (req, res) => {
   try {
     const brand = await Brand.findOne({ owner: req.user._id }).exec();
 
@@ -333,6 +307,29 @@ router.get('/my-brands', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/brands/trash
+// @desc    Current user's deleted brands with their purge date
+// @access  Private
+// NOTE: This route must come BEFORE /:id to avoid route conflicts
+router.get('/trash', requireScope('brand:read'), async (req, res) => {
+  try {
+    const brands = await Brand.find({ owner: req.user._id, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      success: true,
+      brands: brands.map(brand => ({ ...brand.toObject(), purgeAt: purgeDateFor(brand.deletedAt) }))
+    });
+  } catch (error) {
+    console.error('Get brand trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/brands/:id
 // @desc    Get a single brand by ID
 // @access  Public
@@ -417,10 +414,78 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   /api/brands/:id/revisions
+// @desc    Revision history, diff and rollback (see routes/revisions.js)
+// @access  Private (owner, or staff with brands:read; rollback needs brands:write)
+router.use('/:id/revisions', createRevisionRouter({
+  entityType: 'Brand',
+  Model: Brand,
+  ownerField: 'owner',
+  readScope: 'brand:read',
+  writeScope: 'brand:write',
+  readPermission: 'brands:read',
+  writePermission: 'brands:write'
+}));
+
+// @route   /api/brands/:id/imports
+// @desc    Bulk listing imports from a spreadsheet (see routes/imports.js)
+// @access  Private (owner; staff with brands:read can follow progress)
+router.use('/:id/imports', require('./imports'));
+
+// @route   GET /api/brands/:id/export
+// @desc    Download the brand's posts as csv, jsonl or an xml product feed (streamed)
+// @access  Private (owner, or staff with products:read)
+router.get('/:id/export', requireScope('posts:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid brand ID'
+      });
+    }
+
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    if (brand.owner.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:read')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only export your own brands'
+      });
+    }
+
+    const { format, filter } = await buildExportQuery(req.query, { brand: brand._id });
+    await streamExport(res, filter, { format, fileName: exportFileName(brand.name) });
+  } catch (error) {
+    if (res.headersSent) {
+      // Mid-download: cut the connection so the client sees an incomplete file
+      console.error('Brand export stream error:', error);
+      return res.destroy(error);
+    }
+    if (error instanceof ExportError || error instanceof CatalogQueryError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Brand export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // @route   PUT /api/brands/:id
 // @desc    Update a brand
 // @access  Private (only owner)
-router.put('/:id', authenticateToken, (req, res, next) => {
+router.put('/:id', requireScope('brand:write'), (req, res, next) => {
   upload.single('picture')(req, res, (err) => {
     if (err) {
       return handleMulterError(err, req, res, next);
@@ -470,6 +535,7 @@ router.put('/:id', authenticateToken, (req, res, next) => {
     }
 
     const { name, bio, establishedYear } = req.body;
+    const before = snapshot('Brand', brand);
 
     if (name) {
       // Check if name already exists for this user (excluding current brand)
@@ -502,6 +568,13 @@ router.put('/:id', authenticateToken, (req, res, next) => {
     }
 
     await brand.save();
+    await recordRevision({
+      entityType: 'Brand',
+      entity: brand._id,
+      before,
+      after: snapshot('Brand', brand),
+      actor: req.user
+    });
 
     res.json({
       success: true,
@@ -518,5 +591,93 @@ router.put('/:id', authenticateToken, (req, res, next) => {
   }
 });
 
+// @route   DELETE /api/brands/:id
+// @desc    Move a brand and its posts to the trash (restorable until purged)
+// @access  Private (only owner)
+router.delete('/:id', requireScope('brand:write'), async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    if (brand.owner.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this brand'
+      });
+    }
+
+    await softDeleteBrand(brand, req.user);
+
+    res.json({
+      success: true,
+      message: 'Brand and its posts moved to trash',
+      purgeAt: purgeDateFor(brand.deletedAt)
+    });
+  } catch (error) {
+    console.error('Delete brand error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/brands/:id/restore
+// @desc    Restore a brand, and the posts deleted with it, from the trash
+// @access  Private (only owner)
+router.post('/:id/restore', requireScope('brand:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid brand ID'
+      });
+    }
+
+    const brand = await Brand.findOne({
+      _id: req.params.id,
+      owner: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found in trash'
+      });
+    }
+
+    const restoredPosts = await restoreBrand(brand, req.user);
+    const restored = await Brand.findById(brand._id);
+
+    res.json({
+      success: true,
+      message: 'Brand restored',
+      brand: restored,
+      restoredPosts
+    });
+  } catch (error) {
+    if (error instanceof TrashError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Restore brand error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
@@ -1,55 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const { requireAuth, requireScope } = require('../middleware/auth');
+const { getPageParams, paginate, PaginationError } = require('../utils/pagination');
 
-const router = express.Router();
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
+const MESSAGES_PAGE_SIZE = 50;
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found. Please log in again.'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-
-    res.status(500).json({
-      success: false,
-      error: 'Token verification failed',
-      message: error.message
-    });
-  }
-};
+const router = express.Router();
 
-router.post('/conversations', authenticateToken, async (req, res) => {
+router.post('/conversations', requireAuth, async (req, res) => {
   try {
     const { participantId, postId } = req.body;
 
@@ -67,8 +29,8 @@ router.post('/conversations', authenticateToken, async (req, res) => {
       });
     }
 
-    const participant = await User.findById(participantId).select('name email photoURL');
-    if (!participant) {
+    const participant = await User.findById(participantId).select('name email photoURL deletedAt');
+    if (!participant || participant.deletedAt) {
       return res.status(404).json({
         success: false,
         error: 'Artist not found'
@@ -116,7 +78,7 @@ router.post('/conversations', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/conversations', authenticateToken, async (req, res) => {
+router.get('/conversations', requireScope('chat:read'), async (req, res) => {
   try {
     const conversations = await Conversation.find({
       participants: req.user._id
@@ -139,7 +101,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
   }
 });
 
-router.get('/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+router.get('/conversations/:conversationId/messages', requireScope('chat:read'), async (req, res) => {
   try {
     const { conversationId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(conversationId)) {
@@ -168,15 +130,28 @@ router.get('/conversations/:conversationId/messages', authenticateToken, async (
       });
     }
 
-    const messages = await Message.find({ conversation: conversationId })
-      .sort({ createdAt: 1 })
-      .populate('sender', 'name email photoURL');
+    // Messages were never paged by number, so there's no count to keep
+    const pageParams = getPageParams(req.query, { defaultLimit: MESSAGES_PAGE_SIZE, defaultMode: 'cursor' });
+
+    // Pages run from the newest message back; nextCursor loads older messages
+    const { items, pageInfo } = await paginate(Message, { conversation: conversationId }, pageParams, {
+      sort: { createdAt: -1 },
+      prepare: (query) => query.populate('sender', 'name email photoURL')
+    });
 
     res.json({
       success: true,
-      messages
+      // Oldest first within the page, as before
+      messages: items.reverse(),
+      ...pageInfo
     });
   } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Get messages error:', error);
     res.status(500).json({
       success: false,
@@ -186,7 +161,7 @@ router.get('/conversations/:conversationId/messages', authenticateToken, async (
   }
 });
 
-router.post('/conversations/:conversationId/messages', authenticateToken, async (req, res) => {
+router.post('/conversations/:conversationId/messages', requireAuth, async (req, res) => {
   try {
     const { conversationId } = req.params;
     const { content } = req.body;
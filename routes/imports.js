@@ -0,0 +1,221 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Brand = require('../models/Brand');
+const ImportJob = require('../models/ImportJob');
+const { requireScope } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { hasPermission } = require('../config/roles');
+const { getPageParams, paginate, PaginationError } = require('../utils/pagination');
+const { validateImport, startImportJob, ImportError } = require('../services/postImport');
+
+// Bulk listing imports for a brand, mounted under /api/brands/:id/imports
+const router = express.Router({ mergeParams: true });
+
+const MAX_SPREADSHEET_SIZE = 5 * 1024 * 1024;
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE,
+    files: 2
+  }
+});
+
+const handleUpload = (req, res, next) => {
+  upload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }])(req, res, (err) => {
+    if (err) {
+      const error = err.code === 'LIMIT_FILE_SIZE'
+        ? `File size too large. Maximum size is ${MAX_UPLOAD_SIZE / 1024 / 1024}MB`
+        : err.message || 'File upload error';
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    next();
+  });
+};
+
+const isTrue = (value) => ['true', '1', 'yes'].includes(String(value).toLowerCase());
+
+// Load the brand; `ownerOnly` refuses staff who aren't the owner
+const loadBrand = (ownerOnly) => async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid brand ID'
+      });
+    }
+
+    const brand = await Brand.findById(req.params.id);
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        error: 'Brand not found'
+      });
+    }
+
+    const isOwner = brand.owner.toString() === req.user._id.toString();
+    if (!isOwner && (ownerOnly || !hasPermission(req.user, 'brands:read'))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only import listings into your own brands'
+      });
+    }
+
+    req.brand = brand;
+    next();
+  } catch (error) {
+    console.error('Load import brand error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
+// @route   POST /api/brands/:id/imports
+// @desc    Import listings from a CSV/XLSX file (plus an optional zip of images).
+//          With dryRun=true only the row-by-row report is returned.
+// @access  Private (brand owner)
+router.post('/', requireScope('posts:write'), requireVerifiedEmail, loadBrand(true), handleUpload, async (req, res) => {
+  try {
+    const file = req.files?.file?.[0];
+    const imagesFile = req.files?.images?.[0] || null;
+    if (file && file.size > MAX_SPREADSHEET_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `The spreadsheet is larger than ${MAX_SPREADSHEET_SIZE / 1024 / 1024}MB`
+      });
+    }
+
+    const validation = await validateImport({ file, imagesFile });
+    const report = {
+      format: validation.format,
+      totalRows: validation.totalRows,
+      validRows: validation.validRows,
+      invalidRows: validation.invalidRows,
+      ignoredColumns: validation.ignoredColumns,
+      errors: validation.errors
+    };
+
+    if (isTrue(req.body.dryRun)) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        report
+      });
+    }
+
+    // Nothing is created from a file with mistakes unless the caller asks to skip them
+    if (validation.invalidRows > 0 && !isTrue(req.body.skipInvalid)) {
+      return res.status(400).json({
+        success: false,
+        error: `${validation.invalidRows} row(s) have errors. Fix them, or send skipInvalid=true to import the valid rows only.`,
+        report
+      });
+    }
+    if (validation.validRows === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid rows to import',
+        report
+      });
+    }
+
+    const job = await startImportJob(validation, { brand: req.brand, user: req.user });
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      job,
+      report
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Start import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/brands/:id/imports
+// @desc    Import jobs of a brand, newest first (without their row errors)
+// @access  Private (brand owner, or staff with brands:read)
+router.get('/', requireScope('posts:read'), loadBrand(false), async (req, res) => {
+  try {
+    const pageParams = getPageParams(req.query);
+    const { items, pageInfo } = await paginate(ImportJob, { brand: req.brand._id }, pageParams, {
+      sort: { createdAt: -1 },
+      prepare: (query) => query.select('-rowErrors -posts')
+    });
+
+    res.json({
+      success: true,
+      jobs: items,
+      ...pageInfo
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('List imports error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/brands/:id/imports/:jobId
+// @desc    Progress of an import job, with its row errors and created posts
+// @access  Private (brand owner, or staff with brands:read)
+router.get('/:jobId', requireScope('posts:read'), loadBrand(false), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid import job ID'
+      });
+    }
+
+    const job = await ImportJob.findOne({ _id: req.params.jobId, brand: req.brand._id })
+      .populate('posts', 'title status price images');
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get import error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,31 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const { body, validationResult } = require('express-validator');
 const cloudinary = require('../config/cloudinary');
 const Post = require('../models/Post');
-const User = require('../models/User');
 const Brand = require('../models/Brand');
+const { requireAuth, requireScope, optionalAuth } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmail');
+const { listPosts, CatalogQueryError } = require('../services/postCatalog');
+const { getPageParams, paginate, PaginationError } = require('../utils/pagination');
+const { deleteImages } = require('../services/images');
+const { recordView, getDailyViews, ViewRangeError } = require('../services/postViews');
+const PostLike = require('../models/PostLike');
+const { likePost, unlikePost, withLikedByMe } = require('../services/postLikes');
+const { hasPermission } = require('../config/roles');
+const { parseVariants, resolveVariantImages, VariantError } = require('../services/postVariants');
+const { applySchedule, isLiveNow, ScheduleError } = require('../services/postSchedule');
+const { snapshot, recordRevision, getPriceHistory } = require('../services/revisions');
+const { createRevisionRouter } = require('./revisions');
+const { softDeletePost, restorePost, purgeDateFor, refreshBrandPostCount, TrashError } = require('../services/trash');
+const { getLimit, findRelatedPosts, findRecommendedPosts } = require('../services/postRecommendations');
 
 const router = express.Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const MAX_IMAGES = 5;
+// Statuses anyone may see a single post in; drafts and expired posts are for the author and staff
+const PUBLIC_STATUSES = ['published', 'sold'];
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -28,58 +44,6 @@ const upload = multer({
   }
 });
 
-// Middleware to verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    console.log('Token decoded, userId:', decoded.userId);
-    
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      console.error('User not found for userId:', decoded.userId);
-      console.error('Token payload:', decoded);
-      
-      // Check if user exists with different ID format
-      const allUsers = await User.find().limit(5).select('_id email name');
-      console.log('Available users:', allUsers.map(u => ({ id: u._id, email: u.email })));
-      
-      return res.status(404).json({
-        success: false,
-        error: 'User not found. Please log in again.',
-        details: 'The user associated with this token no longer exists in the database.'
-      });
-    }
-
-    console.log('User authenticated:', user.email, user._id);
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      console.error('JWT Error:', error.message);
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-    console.error('Token verification error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Token verification failed',
-      message: error.message
-    });
-  }
-};
-
 // Helper function to upload image to Cloudinary
 const uploadToCloudinary = (buffer) => {
   return new Promise((resolve, reject) => {
@@ -132,11 +96,169 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+class ImageUpdateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImageUpdateError';
+  }
+}
+
+// List fields arrive as a JSON array, repeated form fields or a single value
+const parseListField = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // fall through
+    }
+    throw new ImageUpdateError('Image lists must be JSON arrays of strings');
+  }
+  return [value];
+};
+
+/**
+ * Work out a post's image list from an update request.
+ *
+ * - `images` (files): new photos to upload
+ * - `removeImages`: existing URLs to drop
+ * - `imageOrder`: the full new order. Entries are existing URLs or `new:<n>` for the
+ *   n-th uploaded file; existing images left out are removed and new files left out
+ *   are appended. A JSON body may send this as `images` instead.
+ *
+ * Only URLs already on the post are accepted, so images always come from our own uploads.
+ * Returns null when the request doesn't touch images, else
+ * { order: [{ url } | { file }], removed: [url] }.
+ */
+const planImageUpdate = (post, body, files = []) => {
+  const imageOrder = parseListField(body.imageOrder !== undefined ? body.imageOrder : body.images);
+  const removeImages = parseListField(body.removeImages) || [];
+
+  if (imageOrder === undefined && removeImages.length === 0 && files.length === 0) {
+    return null;
+  }
+
+  const current = post.images || [];
+  const isCurrent = (url) => typeof url === 'string' && current.includes(url);
+
+  const isNewFile = (entry) => typeof entry === 'string' && /^new:\d+$/.test(entry);
+  const unknown = (imageOrder || []).filter(entry => !isCurrent(entry) && !isNewFile(entry))
+    .concat(removeImages.filter(entry => !isCurrent(entry)));
+  if (unknown.length > 0) {
+    throw new ImageUpdateError('Images must be uploaded as files. Only images already on this post can be kept or reordered.');
+  }
+
+  let order;
+  if (imageOrder !== undefined) {
+    const usedFiles = new Set();
+    order = imageOrder.map(entry => {
+      if (isCurrent(entry)) {
+        return { url: entry };
+      }
+      const index = parseInt(entry.slice(4));
+      if (index >= files.length || usedFiles.has(index)) {
+        throw new ImageUpdateError(`${entry} does not match an uploaded file`);
+      }
+      usedFiles.add(index);
+      return { file: files[index] };
+    });
+    files.forEach((file, index) => {
+      if (!usedFiles.has(index)) {
+        order.push({ file });
+      }
+    });
+  } else {
+    order = current.map(url => ({ url })).concat(files.map(file => ({ file })));
+  }
+
+  order = order.filter(item => !item.url || !removeImages.includes(item.url));
+
+  const keptUrls = order.filter(item => item.url).map(item => item.url);
+  if (new Set(keptUrls).size !== keptUrls.length) {
+    throw new ImageUpdateError('Each image can only appear once');
+  }
+  if (order.length === 0) {
+    throw new ImageUpdateError('At least one image is required');
+  }
+  if (order.length > MAX_IMAGES) {
+    throw new ImageUpdateError(`A post can have at most ${MAX_IMAGES} images`);
+  }
+
+  return {
+    order,
+    removed: current.filter(url => !keptUrls.includes(url))
+  };
+};
+
+// Whether `user` (or an anonymous caller) may see a post. Published or sold posts inside
+// their publishAt / expiresAt window are public; anything else only to its author and
+// staff with products:read.
+const canViewPost = (post, user) => {
+  if (PUBLIC_STATUSES.includes(post.status) && isLiveNow(post)) {
+    return true;
+  }
+  if (!user) {
+    return false;
+  }
+  const authorId = post.author?._id || post.author;
+  return authorId.toString() === user._id.toString() || hasPermission(user, 'products:read');
+};
+
+// Shared by the like and unlike routes; responds with the new state and count
+const setLike = async (req, res, liked) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('status publishAt expiresAt');
+    // Unliking stays possible after a post is unpublished
+    if (!post || (liked && !(post.status === 'published' && isLiveNow(post)))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    if (liked) {
+      await likePost(post._id, req.user._id);
+    } else {
+      await unlikePost(post._id, req.user._id);
+    }
+
+    const { likes } = await Post.findById(post._id).select('likes').lean();
+
+    res.json({
+      success: true,
+      likedByMe: liked,
+      likes
+    });
+  } catch (error) {
+    console.error(`${liked ? 'Like' : 'Unlike'} post error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+};
+
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
-router.post('/', authenticateToken, (req, res, next) => {
-  upload.array('images', 5)(req, res, (err) => {
+router.post('/', requireScope('posts:write'), requireVerifiedEmail, (req, res, next) => {
+  upload.array('images', MAX_IMAGES)(req, res, (err) => {
     if (err) {
       return handleMulterError(err, req, res, next);
     }
@@ -154,7 +276,9 @@ router.post('/', authenticateToken, (req, res, next) => {
   body('category')
     .isIn(['Painting', 'Drawing', 'Sculpture', 'Pottery', 'Textiles', 'Jewelry', 'Woodwork', 'Paper Crafts', 'Metalwork', 'Other'])
     .withMessage('Invalid category'),
+  // With variants the price comes from them
   body('price')
+    .if((value, { req }) => req.body.variants === undefined)
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
   body('brand')
@@ -197,6 +321,11 @@ router.post('/', authenticateToken, (req, res, next) => {
       });
     }
 
+    const variants = req.body.variants !== undefined ? parseVariants(req.body.variants) : [];
+
+    const schedule = { status: req.body.status || 'published', publishAt: null, expiresAt: null };
+    applySchedule(schedule, req.body);
+
     console.log('Uploading', req.files.length, 'images to Cloudinary...');
 
     // Upload images to Cloudinary with error handling
@@ -212,7 +341,7 @@ router.post('/', authenticateToken, (req, res, next) => {
     console.log('Images uploaded to Cloudinary:', imageUrls.length);
     console.log('Image URLs:', imageUrls);
 
-    const { title, description, category, price, tags, status, brand, quantity, location } = req.body;
+    const { title, description, category, price, tags, brand, quantity, location } = req.body;
 
     // Validate brand exists and belongs to user
     const brandDoc = await Brand.findById(brand);
@@ -240,29 +369,48 @@ router.post('/', authenticateToken, (req, res, next) => {
       }
     }
 
+    let resolvedVariants;
+    try {
+      resolvedVariants = resolveVariantImages(variants, imageUrls);
+    } catch (error) {
+      await deleteImages(imageUrls);
+      throw error;
+    }
+
     const post = new Post({
       title: title.trim(),
       description: description.trim(),
       category,
-      price: parseFloat(price),
+      // Derived from the variants when there are any
+      price: variants.length > 0 ? undefined : parseFloat(price),
       images: imageUrls,
       tags: parsedTags,
-      status: status || 'published',
+      status: schedule.status,
+      publishAt: schedule.publishAt,
+      expiresAt: schedule.expiresAt,
       author: req.user._id,
       authorName: req.user.name,
       authorEmail: req.user.email,
       brand: brandDoc._id,
       brandName: brandDoc.name,
       quantity: quantity ? parseInt(quantity) : 1,
+      variants: resolvedVariants,
       location: location ? location.trim() : null
     });
 
     // Save to MongoDB
     const savedPost = await post.save();
+    await recordRevision({
+      entityType: 'Post',
+      entity: post._id,
+      before: {},
+      after: snapshot('Post', post),
+      actor: req.user,
+      action: 'create'
+    });
     
-    // Increment brand post count
-    brandDoc.postCount += 1;
-    await brandDoc.save();
+    // postCount only counts published posts, so drafts and scheduled posts don't add to it
+    await refreshBrandPostCount(brandDoc._id);
     
     // Verify the post was saved by querying it back
     const verifiedPost = await Post.findById(savedPost._id);
@@ -295,12 +443,23 @@ router.post('/', authenticateToken, (req, res, next) => {
         price: post.price,
         images: post.images,
         tags: post.tags,
+        quantity: post.quantity,
+        variants: post.variants,
+        status: post.status,
+        publishAt: post.publishAt,
+        expiresAt: post.expiresAt,
         author: post.author,
         authorName: post.authorName,
         createdAt: post.createdAt
       }
     });
   } catch (error) {
+    if (error instanceof VariantError || error instanceof ScheduleError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Create post error:', error);
     res.status(500).json({
       success: false,
@@ -311,73 +470,255 @@ router.post('/', authenticateToken, (req, res, next) => {
 });
 
 // @route   GET /api/posts
-// @desc    Get all posts (with optional filters)
-// @access  Public
-router.get('/', async (req, res) => {
+// @desc    Browse the catalog: filters, sorting, search (?q=) and facet counts.
+//          See services/postCatalog.js for the supported query parameters.
+// @access  Public (posts include likedByMe when a token is sent)
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    const { category, author, brand, status, page = 1, limit = 20 } = req.query;
-    const query = {};
+    const pageParams = getPageParams(req.query);
+    const { posts, pageInfo, sort, searchMode, facets } = await listPosts(req.query, pageParams, {
+      includeFacets: req.query.facets !== 'false'
+    });
 
-    if (category) {
-      query.category = category;
+    res.json({
+      success: true,
+      posts: await withLikedByMe(posts, req.user),
+      ...pageInfo,
+      sort,
+      ...(searchMode && { query: req.query.q.trim(), searchMode }),
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    if (error instanceof CatalogQueryError || error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
+    console.error('Get posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
-    if (author) {
-      query.author = author;
+// @route   GET /api/posts/user/my-posts
+// @desc    Get current user's posts
+// @access  Private
+// NOTE: This route must come BEFORE /:id to avoid route conflicts
+router.get('/user/my-posts', requireScope('posts:read'), async (req, res) => {
+  try {
+    const posts = await Post.find({ author: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('author', 'name email photoURL')
+      .exec();
+
+    res.json({
+      success: true,
+      posts
+    });
+  } catch (error) {
+    console.error('Get user posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/posts/user/trash
+// @desc    Current user's deleted posts, most recently deleted first, with their purge date
+// @access  Private
+router.get('/user/trash', requireScope('posts:read'), async (req, res) => {
+  try {
+    const { items, pageInfo } = await paginate(
+      Post,
+      { author: req.user._id, deletedAt: { $ne: null } },
+      getPageParams(req.query),
+      { sort: { deletedAt: -1 } }
+    );
+
+    res.json({
+      success: true,
+      posts: items.map(post => ({ ...post.toObject(), purgeAt: purgeDateFor(post.deletedAt) })),
+      ...pageInfo
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
+    console.error('Get post trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
-    if (brand) {
-      // Convert string ID to ObjectId for proper querying
-      const mongoose = require('mongoose');
-      if (mongoose.Types.ObjectId.isValid(brand)) {
-        query.brand = new mongoose.Types.ObjectId(brand);
-      } else {
-        query.brand = brand;
-      }
+// @route   GET /api/posts/user/liked
+// @desc    Posts the current user has liked, most recently liked first (cursor paginated)
+// @access  Private
+router.get('/user/liked', requireAuth, async (req, res) => {
+  try {
+    const { items, pageInfo } = await paginate(PostLike, { user: req.user._id }, getPageParams(req.query), {
+      sort: { createdAt: -1 },
+      prepare: (query) => query.populate({
+        path: 'post',
+        populate: { path: 'author', select: 'name email photoURL' }
+      })
+    });
+
+    // Posts that were deleted or unpublished since are left out
+    const posts = items
+      .filter(like => like.post && like.post.status === 'published')
+      .map(like => ({ ...like.post.toObject(), likedByMe: true, likedAt: like.createdAt }));
+
+    res.json({
+      success: true,
+      posts,
+      ...pageInfo
+    });
+  } catch (error) {
+    if (error instanceof PaginationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
     }
+    console.error('Get liked posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
-    if (status) {
-      query.status = status;
-    } else {
-      // Default to only published posts for public access
-      query.status = 'published';
+// @route   GET /api/posts/user/recommended
+// @desc    Posts picked for the current user from their wishlist, likes, views and chats.
+//          Query: limit, exclude (post IDs to leave out, e.g. the one on screen)
+// @access  Private
+router.get('/user/recommended', requireAuth, async (req, res) => {
+  try {
+    const exclude = String(req.query.exclude || '').split(',').map(id => id.trim()).filter(Boolean);
+    const { posts, personalised } = await findRecommendedPosts(req.user, {
+      limit: getLimit(req.query.limit),
+      exclude
+    });
+
+    res.json({
+      success: true,
+      personalised,
+      posts: await withLikedByMe(posts, req.user)
+    });
+  } catch (error) {
+    console.error('Get recommended posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/like
+// @desc    Like a post. Liking twice has no further effect.
+// @access  Private
+router.post('/:id/like', requireAuth, async (req, res) => {
+  await setLike(req, res, true);
+});
+
+// @route   DELETE /api/posts/:id/like
+// @desc    Remove the current user's like
+// @access  Private
+router.delete('/:id/like', requireAuth, async (req, res) => {
+  await setLike(req, res, false);
+});
+
+// @route   /api/posts/:id/revisions
+// @desc    Revision history, diff and rollback (see routes/revisions.js)
+// @access  Private (author, or staff with products:read; rollback needs products:write)
+router.use('/:id/revisions', createRevisionRouter({
+  entityType: 'Post',
+  Model: Post,
+  ownerField: 'author',
+  readScope: 'posts:read',
+  writeScope: 'posts:write',
+  readPermission: 'products:read',
+  writePermission: 'products:write'
+}));
+
+// @route   GET /api/posts/:id/price-history
+// @desc    Recorded prices of a post, oldest first
+// @access  Public for live posts; otherwise author or staff
+router.get('/:id/price-history', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID'
+      });
     }
 
-    console.log('=== GET POSTS REQUEST ===');
-    console.log('Query:', query);
-    console.log('Brand ID (raw):', brand);
-    console.log('Brand ID (converted):', query.brand);
-    console.log('Page:', page, 'Limit:', limit);
+    const post = await Post.findById(req.params.id).select('author status price publishAt expiresAt');
+    if (!post || !canViewPost(post, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
 
-    const posts = await Post.find(query)
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .populate('author', 'name email photoURL')
-      .populate('brand', 'name picture')
-      .exec();
+    res.json({
+      success: true,
+      postId: post._id,
+      currentPrice: post.price,
+      history: await getPriceHistory(post._id)
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
 
-    const total = await Post.countDocuments(query);
+// @route   GET /api/posts/:id/related
+// @desc    Published posts similar to this one (category, tags, brand, price). Query: limit
+// @access  Public (personalised when a token is sent)
+router.get('/:id/related', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID'
+      });
+    }
 
-    console.log('Posts found:', posts.length);
-    console.log('Total posts:', total);
-    if (brand) {
-      console.log('Posts for brand:', posts.map(p => ({ id: p._id, title: p.title, brand: p.brand, brandId: p.brand?._id || p.brand })));
-      // Also check what posts exist in DB for this brand
-      const allPostsForBrand = await Post.find({ brand: query.brand }).select('_id title status brand').exec();
-      console.log('All posts in DB for this brand:', allPostsForBrand.map(p => ({ id: p._id, title: p.title, status: p.status, brand: p.brand })));
+    const post = await Post.findById(req.params.id).select('author status publishAt expiresAt category tags brand price');
+    if (!post || !canViewPost(post, req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
     }
-    console.log('========================');
+
+    const posts = await findRelatedPosts(post, { limit: getLimit(req.query.limit) });
 
     res.json({
       success: true,
-      posts,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      posts: await withLikedByMe(posts, req.user)
     });
   } catch (error) {
-    console.error('Get posts error:', error);
+    console.error('Get related posts error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -386,23 +727,49 @@ router.get('/', async (req, res) => {
   }
 });
 
-// @route   GET /api/posts/user/my-posts
-// @desc    Get current user's posts
-// @access  Private
-// NOTE: This route must come BEFORE /:id to avoid route conflicts
-router.get('/user/my-posts', authenticateToken, async (req, res) => {
+// @route   GET /api/posts/:id/views
+// @desc    Daily unique views of a post. Query: from, to (YYYY-MM-DD, UTC; default last 30 days)
+// @access  Private (author, or staff with products:read)
+router.get('/:id/views', requireScope('posts:read'), async (req, res) => {
   try {
-    const posts = await Post.find({ author: req.user._id })
-      .sort({ createdAt: -1 })
-      .populate('author', 'name email photoURL')
-      .exec();
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('author views');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'products:read')) {
+      return res.status(403).json({
+        success: false,
+        error: 'You are not authorized to view analytics for this post'
+      });
+    }
+
+    const stats = await getDailyViews(post._id, { from: req.query.from, to: req.query.to });
 
     res.json({
       success: true,
-      posts
+      postId: post._id,
+      totalViews: post.views,
+      ...stats
     });
   } catch (error) {
-    console.error('Get user posts error:', error);
+    if (error instanceof ViewRangeError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Get post views error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -413,27 +780,37 @@ router.get('/user/my-posts', authenticateToken, async (req, res) => {
 
 // @route   GET /api/posts/:id
 // @desc    Get a single post by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public for live posts; otherwise author or staff (personalised when a token is sent)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('author', 'name email photoURL')
       .exec();
 
-    if (!post) {
+    // Drafts, scheduled and expired posts look missing to everyone else
+    if (!post || !canViewPost(post, req.user)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found'
       });
     }
 
-    // Increment views
-    post.views += 1;
-    await post.save();
+    // Counting is best effort; a failure shouldn't stop the post from loading
+    try {
+      if (await recordView(post, req)) {
+        post.views += 1;
+      }
+    } catch (error) {
+      console.error('Record post view error:', error);
+    }
+
+    const [personalised] = await withLikedByMe([post], req.user);
 
     res.json({
       success: true,
-      post
+      post: personalised,
+      // Personalised fields, only meaningful when the caller sent a token
+      isOwner: !!req.user && post.author?._id?.toString() === req.user._id.toString()
     });
   } catch (error) {
     console.error('Get post error:', error);
@@ -445,10 +822,28 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Publishing a post, now or at publishAt, needs a verified email like creating one does.
+// Runs after multer so multipart bodies are parsed.
+const requireVerifiedEmailToPublish = (req, res, next) => {
+  const { status, publishAt } = req.body;
+  const publishing = status === 'published' || ![undefined, null, '', 'null'].includes(publishAt);
+  if (!publishing) {
+    return next();
+  }
+  return requireVerifiedEmail(req, res, next);
+};
+
 // @route   PUT /api/posts/:id
-// @desc    Update a post
+// @desc    Update a post. Accepts JSON or multipart (to add photos); see planImageUpdate for images.
 // @access  Private (only author)
-router.put('/:id', authenticateToken, [
+router.put('/:id', requireScope('posts:write'), (req, res, next) => {
+  upload.array('images', MAX_IMAGES)(req, res, (err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+    next();
+  });
+}, requireVerifiedEmailToPublish, [
   body('title')
     .optional()
     .trim()
@@ -462,7 +857,16 @@ router.put('/:id', authenticateToken, [
   body('price')
     .optional()
     .isFloat({ min: 0 })
-    .withMessage('Price must be a positive number')
+    .withMessage('Price must be a positive number'),
+  body('quantity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Quantity must be a whole number of 0 or more'),
+  // expired is only ever set by the scheduler
+  body('status')
+    .optional()
+    .isIn(['draft', 'published', 'sold'])
+    .withMessage('Status must be draft, published or sold')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -490,16 +894,82 @@ router.put('/:id', authenticateToken, [
       });
     }
 
+    const before = snapshot('Post', post);
+
+    // Validate image and variant changes before uploading anything
+    const imagePlan = planImageUpdate(post, req.body, req.files || []);
+    const variants = req.body.variants !== undefined ? parseVariants(req.body.variants) : null;
+
+    const hasVariants = variants ? variants.length > 0 : post.variants.length > 0;
+    if (hasVariants && (req.body.price !== undefined || req.body.quantity !== undefined)) {
+      throw new VariantError('This post has variants; set price and quantity on each variant instead');
+    }
+
     // Update allowed fields
-    const allowedUpdates = ['title', 'description', 'category', 'price', 'images', 'tags', 'status'];
+    const allowedUpdates = ['title', 'description', 'category', 'price', 'quantity', 'tags', 'status'];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         post[field] = req.body[field];
       }
     });
 
+    applySchedule(post, req.body);
+
+    // Multipart forms send tags as "a, b"
+    if (typeof req.body.tags === 'string') {
+      post.tags = req.body.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
+
+    let uploadedUrls = [];
+    if (imagePlan) {
+      const newItems = imagePlan.order.filter(item => item.file);
+      // Wait for every upload, so the ones that succeeded can be removed if another failed
+      const uploads = await Promise.allSettled(newItems.map(item => uploadToCloudinary(item.file.buffer)));
+      const failedUpload = uploads.find(result => result.status === 'rejected');
+      if (failedUpload) {
+        console.error('Cloudinary upload error:', failedUpload.reason);
+        await deleteImages(uploads.filter(result => result.status === 'fulfilled').map(result => result.value));
+        throw new Error(`Failed to upload image: ${failedUpload.reason.message}`);
+      }
+      uploadedUrls = uploads.map(result => result.value);
+      newItems.forEach((item, index) => {
+        item.url = uploadedUrls[index];
+      });
+      post.images = imagePlan.order.map(item => item.url);
+    }
+
     post.updatedAt = new Date();
-    await post.save();
+    try {
+      if (variants) {
+        post.variants = resolveVariantImages(variants, post.images);
+      }
+      await post.save();
+    } catch (error) {
+      // Don't leave orphaned uploads behind
+      await deleteImages(uploadedUrls);
+      throw error;
+    }
+
+    await recordRevision({
+      entityType: 'Post',
+      entity: post._id,
+      before,
+      after: snapshot('Post', post),
+      actor: req.user
+    });
+
+    // Publishing, unpublishing or selling out changes the brand's published count
+    if (before.status !== post.status) {
+      await refreshBrandPostCount(post.brand);
+    }
+
+    // Only remove old images once the post no longer points at them
+    if (imagePlan && imagePlan.removed.length > 0) {
+      const { failed } = await deleteImages(imagePlan.removed);
+      if (failed > 0) {
+        console.warn(`⚠️  ${failed} removed image(s) of post ${post._id} could not be deleted from Cloudinary`);
+      }
+    }
 
     res.json({
       success: true,
@@ -507,6 +977,14 @@ router.put('/:id', authenticateToken, [
       post
     });
   } catch (error) {
+    // Mongoose rejects what the validators above don't cover (e.g. an unknown category)
+    if (error instanceof ImageUpdateError || error instanceof VariantError || error instanceof ScheduleError ||
+      error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
     console.error('Update post error:', error);
     res.status(500).json({
       success: false,
@@ -517,9 +995,9 @@ router.put('/:id', authenticateToken, [
 });
 
 // @route   DELETE /api/posts/:id
-// @desc    Delete a post
+// @desc    Move a post to the trash (restorable until it is purged)
 // @access  Private (only author)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', requireScope('posts:write'), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
 
@@ -538,23 +1016,63 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Decrement brand post count if post has a brand
-    if (post.brand) {
-      const brandDoc = await Brand.findById(post.brand);
-      if (brandDoc && brandDoc.postCount > 0) {
-        brandDoc.postCount -= 1;
-        await brandDoc.save();
-      }
+    await softDeletePost(post, req.user);
+
+    res.json({
+      success: true,
+      message: 'Post moved to trash',
+      purgeAt: purgeDateFor(post.deletedAt)
+    });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/restore
+// @desc    Restore a post from the trash
+// @access  Private (only author)
+router.post('/:id/restore', requireScope('posts:write'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid post ID'
+      });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    const post = await Post.findOne({
+      _id: req.params.id,
+      author: req.user._id,
+      deletedAt: { $ne: null }
+    });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found in trash'
+      });
+    }
+
+    await restorePost(post, req.user);
 
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      message: 'Post restored',
+      post
     });
   } catch (error) {
-    console.error('Delete post error:', error);
+    if (error instanceof TrashError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Restore post error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Revision = require('../models/Revision');
+const { requireScope } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { compareRevisions, rollbackTo, RevisionError } = require('../services/revisions');
+const { getPageParams, paginate, PaginationError } = require('../utils/pagination');
+
+/**
+ * Revision history routes for a post or brand, mounted under /:id/revisions of its router.
+ * The owner can read and roll back; staff need `readPermission` to read and
+ * `writePermission` to roll back.
+ */
+const createRevisionRouter = ({ entityType, Model, ownerField, readScope, writeScope, readPermission, writePermission }) => {
+  const router = express.Router({ mergeParams: true });
+  const label = entityType.toLowerCase();
+
+  const handleError = (res, error, context) => {
+    if (error instanceof RevisionError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof PaginationError || error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error(`${context} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  };
+
+  // Load the entity and check the caller may use its history
+  const loadEntity = (permission) => async (req, res, next) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${label} ID`
+        });
+      }
+
+      const entity = await Model.findById(req.params.id);
+      if (!entity) {
+        return res.status(404).json({
+          success: false,
+          error: `${entityType} not found`
+        });
+      }
+
+      const isOwner = entity[ownerField].toString() === req.user._id.toString();
+      if (!isOwner && !hasPermission(req.user, permission)) {
+        return res.status(403).json({
+          success: false,
+          error: `You are not authorized to view or change the history of this ${label}`
+        });
+      }
+
+      req.entity = entity;
+      next();
+    } catch (error) {
+      handleError(res, error, `Load ${label} for revisions`);
+    }
+  };
+
+  // @route   GET /:id/revisions
+  // @desc    Revisions, newest first (cursor paginated)
+  // @access  Private (owner or staff)
+  router.get('/', requireScope(readScope), loadEntity(readPermission), async (req, res) => {
+    try {
+      const { items: revisions, pageInfo } = await paginate(
+        Revision,
+        { entityType, entity: req.entity._id },
+        getPageParams(req.query),
+        { sort: { version: -1 } }
+      );
+
+      res.json({
+        success: true,
+        revisions,
+        ...pageInfo
+      });
+    } catch (error) {
+      handleError(res, error, `Get ${label} revisions`);
+    }
+  });
+
+  // @route   GET /:id/revisions/diff?from=2&to=5
+  // @desc    Field values as of one revision compared with another
+  // @access  Private (owner or staff)
+  router.get('/diff', requireScope(readScope), loadEntity(readPermission), async (req, res) => {
+    try {
+      const diff = await compareRevisions(entityType, req.entity._id, req.query.from, req.query.to);
+
+      res.json({
+        success: true,
+        ...diff
+      });
+    } catch (error) {
+      handleError(res, error, `Diff ${label} revisions`);
+    }
+  });
+
+  // @route   POST /:id/revisions/:version/rollback
+  // @desc    Restore the values of an earlier revision (recorded as a new revision)
+  // @access  Private (owner or staff)
+  router.post('/:version/rollback', requireScope(writeScope), loadEntity(writePermission), async (req, res) => {
+    try {
+      const { revision, restored, skipped } = await rollbackTo(entityType, req.entity, req.params.version, req.user);
+
+      res.json({
+        success: true,
+        message: restored.length > 0 ? `${entityType} rolled back` : 'Nothing to roll back',
+        [label]: req.entity,
+        revision,
+        restored,
+        skipped
+      });
+    } catch (error) {
+      handleError(res, error, `Roll back ${label}`);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRevisionRouter };
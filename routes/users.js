@@ -1,8 +1,17 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const cloudinary = require('../config/cloudinary');
 const User = require('../models/User');
+const { sendEmailVerification } = require('../services/emailVerification');
+const { sendAccountDeletionScheduledEmail } = require('../services/mailer');
+const { OtpError, OTP_EXPIRE_MINUTES, normalizePhoneNumber, sendOtp, verifyOtp } = require('../services/phoneOtp');
+const {
+  GRACE_DAYS,
+  buildDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountDeletion');
+const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -42,50 +51,10 @@ const uploadToCloudinary = async (buffer) => {
   });
 };
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
-
-// Middleware to verify JWT token
-const authenticateToken = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'No token provided'
-      });
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found'
-      });
-    }
-
-    req.user = user;
-    next();
-  } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token'
-      });
-    }
-    res.status(500).json({
-      success: false,
-      error: 'Token verification failed'
-    });
-  }
-};
-
 // @route   GET /api/users/profile
 // @desc    Get user profile
 // @access  Private
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', requireAuth, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -93,6 +62,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
         id: req.user._id,
         name: req.user.name,
         email: req.user.email,
+        emailVerified: !!req.user.emailVerified,
+        phoneNumber: req.user.phoneNumber || null,
+        phoneVerified: !!req.user.phoneVerified,
         photoURL: req.user.photoURL,
         wishlist: req.user.wishlist,
         createdAt: req.user.createdAt,
@@ -112,7 +84,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // @route   PUT /api/users/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', authenticateToken, upload.single('photo'), async (req, res) => {
+router.put('/profile', requireAuth, upload.single('photo'), async (req, res) => {
   try {
     const { name, email } = req.body;
     const updates = {};
@@ -144,7 +116,12 @@ router.put('/profile', authenticateToken, upload.single('photo'), async (req, re
           error: 'Email is already taken'
         });
       }
-      updates.email = email.toLowerCase();
+      if (email.toLowerCase() !== req.user.email) {
+        updates.email = email.toLowerCase();
+        // A new address has to be verified again
+        updates.emailVerified = false;
+        updates.emailVerifiedAt = null;
+      }
     }
 
     // Handle profile picture upload
@@ -169,6 +146,14 @@ router.put('/profile', authenticateToken, upload.single('photo'), async (req, re
       { new: true, runValidators: true }
     );
 
+    if (updates.email) {
+      try {
+        await sendEmailVerification(user);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -176,6 +161,9 @@ router.put('/profile', authenticateToken, upload.single('photo'), async (req, re
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: !!user.emailVerified,
+        phoneNumber: user.phoneNumber || null,
+        phoneVerified: !!user.phoneVerified,
         photoURL: user.photoURL,
         wishlist: user.wishlist,
         createdAt: user.createdAt,
@@ -192,10 +180,138 @@ router.put('/profile', authenticateToken, upload.single('photo'), async (req, re
   }
 });
 
+// @route   PUT /api/users/phone
+// @desc    Start adding or changing the phone number: texts a verification code
+// @access  Private
+router.put('/phone', requireAuth, async (req, res) => {
+  try {
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a valid phone number'
+      });
+    }
+
+    if (phoneNumber === req.user.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'This phone number is already verified on your account'
+      });
+    }
+
+    const existingUser = await User.findOne({ phoneNumber, _id: { $ne: req.user._id } }).select('_id');
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        error: 'This phone number is already linked to another account'
+      });
+    }
+
+    await sendOtp({ phoneNumber, purpose: 'verify_phone', user: req.user });
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      phoneNumber,
+      expiresInMinutes: OTP_EXPIRE_MINUTES
+    });
+  } catch (error) {
+    if (error instanceof OtpError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        retryAfter: error.retryAfter
+      });
+    }
+    console.error('Phone verification request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/users/phone/verify
+// @desc    Confirm the phone number with the texted code
+// @access  Private
+router.post('/phone/verify', requireAuth, async (req, res) => {
+  try {
+    const phoneNumber = normalizePhoneNumber(req.body.phoneNumber);
+    if (!phoneNumber || !req.body.code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number and code are required'
+      });
+    }
+
+    const otp = await verifyOtp({ phoneNumber, purpose: 'verify_phone', code: req.body.code });
+    if (!otp || otp.user.toString() !== req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired code'
+      });
+    }
+
+    req.user.phoneNumber = phoneNumber;
+    req.user.phoneVerified = true;
+    req.user.phoneVerifiedAt = new Date();
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Phone number verified. You can now log in with a code sent to it.',
+      phoneNumber: req.user.phoneNumber,
+      phoneVerified: true
+    });
+  } catch (error) {
+    // Someone else verified the same number in the meantime
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: 'This phone number is already linked to another account'
+      });
+    }
+    console.error('Phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/phone
+// @desc    Remove the phone number (and phone login) from the account
+// @access  Private
+router.delete('/phone', requireAuth, async (req, res) => {
+  try {
+    req.user.phoneNumber = undefined;
+    req.user.phoneVerified = false;
+    req.user.phoneVerifiedAt = null;
+    await req.user.save();
+
+    res.json({
+      success: true,
+      message: 'Phone number removed'
+    });
+  } catch (error) {
+    console.error('Remove phone error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/users/wishlist
 // @desc    Get user wishlist
 // @access  Private
-router.get('/wishlist', authenticateToken, async (req, res) => {
+router.get('/wishlist', requireAuth, async (req, res) => {
   try {
     res.json({
       success: true,
@@ -214,7 +330,7 @@ router.get('/wishlist', authenticateToken, async (req, res) => {
 // @route   POST /api/users/wishlist
 // @desc    Add item to wishlist
 // @access  Private
-router.post('/wishlist', authenticateToken, async (req, res) => {
+router.post('/wishlist', requireAuth, async (req, res) => {
   try {
     const { product } = req.body;
 
@@ -256,7 +372,7 @@ router.post('/wishlist', authenticateToken, async (req, res) => {
 // @route   DELETE /api/users/wishlist/:productId
 // @desc    Remove item from wishlist
 // @access  Private
-router.delete('/wishlist/:productId', authenticateToken, async (req, res) => {
+router.delete('/wishlist/:productId', requireAuth, async (req, res) => {
   try {
     const { productId } = req.params;
 
@@ -279,5 +395,137 @@ router.delete('/wishlist/:productId', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/export
+// @desc    Download a JSON archive of the user's profile, brands, posts, wishlist and conversations
+// @access  Private
+router.get('/me/export', requireAuth, async (req, res) => {
+  try {
+    const data = await buildDataExport(req.user);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Disposition', `attachment; filename="craft-hindustan-export-${date}.json"`);
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/users/me/deletion
+// @desc    Get the status of a pending account deletion
+// @access  Private
+router.get('/me/deletion', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      pending: !!req.user.deletionScheduledFor,
+      requestedAt: req.user.deletionRequestedAt,
+      scheduledFor: req.user.deletionScheduledFor,
+      gracePeriodDays: GRACE_DAYS
+    });
+  } catch (error) {
+    console.error('Get deletion status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/users/me/deletion
+// @desc    Schedule account deletion after the grace period.
+//          Accounts with a password must confirm it; others confirm their email address.
+// @access  Private
+router.post('/me/deletion', requireAuth, async (req, res) => {
+  try {
+    const { password, confirmEmail } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Account deletion is already scheduled',
+        scheduledFor: user.deletionScheduledFor
+      });
+    }
+
+    if (user.password) {
+      if (!password || !(await user.comparePassword(password))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password is incorrect'
+        });
+      }
+    } else if (!confirmEmail || confirmEmail.toLowerCase().trim() !== user.email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type your email address to confirm'
+      });
+    }
+
+    if (user.hasRole('admin') && await User.countDocuments({ roles: 'admin' }) <= 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'The last admin cannot delete their account. Grant the admin role to someone else first.'
+      });
+    }
+
+    const scheduledFor = await requestAccountDeletion(user);
+
+    try {
+      await sendAccountDeletionScheduledEmail(user, scheduledFor);
+    } catch (mailError) {
+      console.error('Account deletion email error:', mailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted on ${scheduledFor.toUTCString()}. Log in before then to cancel.`,
+      scheduledFor
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/deletion
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.delete('/me/deletion', requireAuth, async (req, res) => {
+  try {
+    if (!req.user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        error: 'No account deletion is scheduled'
+      });
+    }
+
+    await cancelAccountDeletion(req.user);
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
 
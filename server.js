@@ -3,16 +3,29 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const http = require('http');
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const Conversation = require('./models/Conversation');
 const Message = require('./models/Message');
-const User = require('./models/User');
+const { authenticateSocket } = require('./middleware/auth');
+const { registerJob, startScheduler } = require('./jobs/scheduler');
+const { purgeDueAccounts } = require('./services/accountDeletion');
+const { runPostSchedule } = require('./services/postSchedule');
+const { purgeExpiredTrash } = require('./services/trash');
+const { failStaleImports } = require('./services/postImport');
+const { events, EVENTS } = require('./services/events');
+const { checkMailTransport } = require('./services/mailer');
 
 const app = express();
 const server = http.createServer(app);
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+
+// Which proxies may set the client IP through X-Forwarded-For: a hop count (1 behind
+// Vercel or a single load balancer) or a comma-separated list of addresses/subnets.
+// Unset, the header is ignored and req.ip is the connecting address.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
 
 // Middleware - CORS Configuration
 const corsOptions = {
@@ -38,7 +51,7 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key'],
   exposedHeaders: ['Content-Range', 'X-Content-Range'],
   maxAge: 86400 // 24 hours
 };
@@ -50,7 +63,7 @@ app.use(cors(corsOptions));
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', req.headers.origin || '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS, PATCH');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-API-Key');
   res.header('Access-Control-Allow-Credentials', 'true');
   res.header('Access-Control-Max-Age', '86400');
   res.sendStatus(200);
@@ -69,12 +82,31 @@ mongoose.connect(MONGODB_URI)
   console.log('📍 MongoDB URI:', MONGODB_URI);
   console.log('📍 Database:', mongoose.connection.db?.databaseName || 'craft-hindustan');
   console.log('📍 Collections:', Object.keys(mongoose.connection.collections));
+  startScheduler();
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Background jobs (started once MongoDB is connected)
+registerJob('purge-deleted-accounts', purgeDueAccounts, {
+  intervalMs: 60 * 60 * 1000,
+  runOnStart: true
+});
+registerJob('post-schedule', runPostSchedule, {
+  intervalMs: 60 * 1000,
+  runOnStart: true
+});
+registerJob('purge-trash', purgeExpiredTrash, {
+  intervalMs: 60 * 60 * 1000,
+  runOnStart: true
+});
+registerJob('fail-stale-imports', failStaleImports, {
+  intervalMs: 5 * 60 * 1000,
+  runOnStart: true
+});
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
@@ -82,6 +114,7 @@ app.use('/api/posts', require('./routes/posts'));
 app.use('/api/brands', require('./routes/brands'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/chat', require('./routes/chat'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 
 // Log registered routes
 console.log('📋 Registered API routes:');
@@ -164,25 +197,8 @@ app.set('io', io);
 
 const onlineUsers = new Map();
 
-io.use(async (socket, next) => {
-  try {
-    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
-    if (!token) {
-      return next(new Error('Authentication error'));
-    }
-
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('name email photoURL');
-    if (!user) {
-      return next(new Error('Authentication error'));
-    }
-
-    socket.user = user;
-    next();
-  } catch (error) {
-    next(new Error('Authentication error'));
-  }
-});
+// Same token and session checks as the HTTP routes
+io.use(authenticateSocket);
 
 io.on('connection', (socket) => {
   const userId = socket.user?._id?.toString();
@@ -190,6 +206,11 @@ io.on('connection', (socket) => {
     onlineUsers.set(userId, socket.id);
   }
 
+  // Per-user room, so server-side events reach every tab the user has open
+  if (userId) {
+    socket.join(`user:${userId}`);
+  }
+
   socket.emit('connection:ready', { userId });
 
   socket.on('conversation:join', (conversationId) => {
@@ -260,6 +281,21 @@ io.on('connection', (socket) => {
   });
 });
 
+// Tell sellers when the scheduler publishes or expires one of their posts
+[EVENTS.POST_PUBLISHED, EVENTS.POST_EXPIRED].forEach(name => {
+  events.on(name, (payload) => {
+    io.to(`user:${payload.authorId}`).emit(name, payload);
+  });
+});
+[EVENTS.IMPORT_PROGRESS, EVENTS.IMPORT_FINISHED].forEach(name => {
+  events.on(name, (payload) => {
+    io.to(`user:${payload.userId}`).emit(name, payload);
+  });
+});
+
+// Refuse to start in production without real email delivery (verification, reset and login links)
+checkMailTransport();
+
 server.listen(PORT, () => {
   console.log(`🚀 Server is running on port ${PORT}`);
   console.log(`📍 Health check: http://localhost:${PORT}/api/health`);
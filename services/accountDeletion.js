@@ -0,0 +1,244 @@
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Brand = require('../models/Brand');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const ApiKey = require('../models/ApiKey');
+const OtpCode = require('../models/OtpCode');
+const PostLike = require('../models/PostLike');
+const Revision = require('../models/Revision');
+const RecentlyViewed = require('../models/RecentlyViewed');
+const { revokeAllSessions } = require('./sessions');
+const { clearAccountLockout } = require('./loginThrottle');
+const { deleteImages } = require('./images');
+const { removeLikesByUser } = require('./postLikes');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// How many due accounts one run of the purge job handles
+const PURGE_BATCH_SIZE = 50;
+
+const DELETED_USER_NAME = 'Deleted user';
+
+// Placeholder address for the anonymised record; .invalid can never receive mail
+const tombstoneEmail = (userId) => `deleted-${userId}@deleted.invalid`;
+
+/**
+ * Everything we hold about a user, as one JSON-serialisable object.
+ * Conversations include both sides' messages, since they are the user's history too.
+ */
+const buildDataExport = async (user) => {
+  const [brands, posts, likes, recentlyViewed, conversations] = await Promise.all([
+    // Items in the trash are still the user's data
+    Brand.find({ owner: user._id }).setOptions({ withDeleted: true }).lean(),
+    Post.find({ author: user._id }).setOptions({ withDeleted: true }).sort({ createdAt: -1 }).lean(),
+    PostLike.find({ user: user._id }).sort({ createdAt: -1 }).populate('post', 'title').lean(),
+    RecentlyViewed.find({ user: user._id }).sort({ viewedAt: -1 }).populate('post', 'title').lean(),
+    Conversation.find({ participants: user._id })
+      .sort({ updatedAt: -1 })
+      .populate('participants', 'name')
+      .populate('post', 'title')
+      .lean()
+  ]);
+
+  const messages = await Message.find({ conversation: { $in: conversations.map(c => c._id) } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const messagesByConversation = new Map();
+  messages.forEach(message => {
+    const key = message.conversation.toString();
+    if (!messagesByConversation.has(key)) {
+      messagesByConversation.set(key, []);
+    }
+    messagesByConversation.get(key).push({
+      id: message._id,
+      sender: message.sender,
+      sentByMe: message.sender.toString() === user._id.toString(),
+      content: message.content,
+      createdAt: message.createdAt
+    });
+  });
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: !!user.emailVerified,
+      phoneNumber: user.phoneNumber || null,
+      providers: user.providers || [],
+      photoURL: user.photoURL,
+      roles: user.roles || [],
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      deletionScheduledFor: user.deletionScheduledFor,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    },
+    wishlist: user.wishlist || [],
+    brands,
+    posts,
+    likes: likes.map(like => ({
+      post: like.post ? { id: like.post._id, title: like.post.title } : null,
+      likedAt: like.createdAt
+    })),
+    recentlyViewed: recentlyViewed.map(view => ({
+      post: view.post ? { id: view.post._id, title: view.post.title } : null,
+      viewedAt: view.viewedAt
+    })),
+    conversations: conversations.map(conversation => ({
+      id: conversation._id,
+      participants: conversation.participants.map(participant => ({
+        id: participant._id,
+        name: participant.name
+      })),
+      post: conversation.post,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: messagesByConversation.get(conversation._id.toString()) || []
+    }))
+  };
+};
+
+// Start the grace period. The account keeps working until it is purged.
+const requestAccountDeletion = async (user) => {
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+  return user.deletionScheduledFor;
+};
+
+const cancelAccountDeletion = async (user) => {
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save();
+};
+
+/**
+ * Permanently delete a user's personal data.
+ *
+ * The User document is kept as an anonymised record so that posts, brands and
+ * conversations that reference it still resolve (to "Deleted user"). Messages are
+ * kept so the other participant's history stays readable. Each step is idempotent
+ * and the user is only marked deleted at the end, so a failed run is retried.
+ */
+const purgeAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) {
+    return false;
+  }
+
+  const email = tombstoneEmail(user._id);
+
+  // Cut off access first
+  await revokeAllSessions(user._id, { reason: 'account_deleted' });
+  await ApiKey.updateMany(
+    { user: user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await clearAccountLockout(user.email);
+  await OtpCode.deleteMany({ user: user._id });
+  await removeLikesByUser(user._id);
+  await RecentlyViewed.deleteMany({ user: user._id });
+
+  const [brands, posts] = await Promise.all([
+    Brand.find({ owner: user._id }).setOptions({ withDeleted: true }).select('picture'),
+    Post.find({ author: user._id }).setOptions({ withDeleted: true }).select('images')
+  ]);
+  const { failed } = await deleteImages([
+    user.photoURL,
+    ...brands.map(brand => brand.picture),
+    ...posts.flatMap(post => post.images || [])
+  ]);
+  if (failed > 0) {
+    console.warn(`⚠️  ${failed} image(s) of user ${user._id} could not be removed from Cloudinary`);
+  }
+
+  // Revisions hold old copies of the listings and the user's name
+  await Revision.deleteMany({
+    $or: [
+      { entityType: 'Post', entity: { $in: posts.map(post => post._id) } },
+      { entityType: 'Brand', entity: { $in: brands.map(brand => brand._id) } }
+    ]
+  });
+  await Revision.updateMany({ actor: user._id }, { $set: { actorName: DELETED_USER_NAME } });
+
+  // updateMany skips validators: unpublished posts are left without images
+  await Post.updateMany(
+    { author: user._id },
+    { $set: { authorName: DELETED_USER_NAME, authorEmail: email, status: 'draft', images: [] } }
+  );
+  await Brand.updateMany(
+    { owner: user._id },
+    { $set: { ownerName: DELETED_USER_NAME, ownerEmail: email, picture: null, status: 'inactive' } }
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        name: DELETED_USER_NAME,
+        email,
+        providers: [],
+        photoURL: null,
+        wishlist: [],
+        roles: ['buyer'],
+        emailVerified: false,
+        emailVerifiedAt: null,
+        phoneVerified: false,
+        phoneVerifiedAt: null,
+        twoFactor: { enabled: false, enabledAt: null },
+        deletionScheduledFor: null,
+        deletedAt: new Date()
+      },
+      $unset: {
+        password: 1,
+        googleId: 1,
+        passwordResetToken: 1,
+        passwordResetExpires: 1,
+        magicLinkToken: 1,
+        magicLinkExpires: 1,
+        phoneNumber: 1
+      }
+    }
+  );
+
+  return true;
+};
+
+// Scheduler job: purge every account whose grace period has ended
+const purgeDueAccounts = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null
+  })
+    .select('_id')
+    .limit(PURGE_BATCH_SIZE);
+
+  let purged = 0;
+  for (const { _id } of due) {
+    try {
+      if (await purgeAccount(_id)) {
+        purged++;
+      }
+    } catch (error) {
+      console.error(`Account purge failed for user ${_id}:`, error);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️  Purged ${purged} deleted account(s)`);
+  }
+  return purged;
+};
+
+module.exports = {
+  GRACE_DAYS,
+  DELETED_USER_NAME,
+  buildDataExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
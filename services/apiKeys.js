@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+
+const KEY_PREFIX = 'chk_';
+// lastUsedAt is written at most this often per key to avoid a write on every request
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const hashApiKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+// Create a key for a user; returns the document and the raw key (shown only once)
+const createApiKey = async (userId, { name, scopes, expiresAt = null }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashApiKey(key),
+    scopes,
+    expiresAt
+  });
+
+  return { apiKey, key };
+};
+
+// Look up an active key by its raw value and record its use
+const findActiveApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) });
+  if (!apiKey || !apiKey.isActive()) {
+    return null;
+  }
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now), lastUsedIp: ip } })
+      .catch(error => console.error('API key last-used update error:', error));
+  }
+
+  return apiKey;
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  findActiveApiKey
+};
@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendVerificationEmail } = require('./mailer');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const EMAIL_VERIFICATION_EXPIRE = process.env.EMAIL_VERIFICATION_EXPIRE || '24h';
+// Separate secret so a verification link can never be used as a login token
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || `${JWT_SECRET}:email-verification`;
+// Minimum time between requested resends to one account
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Signed, stateless token bound to the user's current email address
+const createEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, purpose: 'email-verification' },
+    EMAIL_VERIFICATION_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRE }
+  );
+};
+
+// Returns the decoded payload, or null if the token is invalid or expired
+const verifyEmailVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, EMAIL_VERIFICATION_SECRET);
+    return decoded.purpose === 'email-verification' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Email a verification link. With `cooldown` (requested resends) nothing is sent while the
+ * last link is less than RESEND_COOLDOWN_SECONDS old; the check and the new send time are
+ * one update, so parallel requests can't each send. Returns whether a link was sent.
+ */
+const sendEmailVerification = async (user, { cooldown = false } = {}) => {
+  const now = new Date();
+  const filter = { _id: user._id };
+  if (cooldown) {
+    const cutoff = new Date(now.getTime() - RESEND_COOLDOWN_SECONDS * 1000);
+    filter.$or = [{ emailVerificationSentAt: null }, { emailVerificationSentAt: { $lte: cutoff } }];
+  }
+  const claimed = await User.updateOne(filter, { $set: { emailVerificationSentAt: now } });
+  if (cooldown && claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  const token = createEmailVerificationToken(user);
+  await sendVerificationEmail(user, token);
+  return true;
+};
+
+module.exports = {
+  createEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendEmailVerification
+};
@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus for things other parts of the app react to (e.g. pushing to
+// sockets). Listeners must not throw; emitters don't wait for them.
+const events = new EventEmitter();
+
+const EVENTS = {
+  POST_PUBLISHED: 'post:published',
+  POST_EXPIRED: 'post:expired',
+  IMPORT_PROGRESS: 'import:progress',
+  IMPORT_FINISHED: 'import:finished'
+};
+
+// Emit without letting a failing listener break the caller
+const emitEvent = (name, payload) => {
+  try {
+    events.emit(name, payload);
+  } catch (error) {
+    console.error(`Listener for "${name}" failed:`, error);
+  }
+};
+
+module.exports = {
+  events,
+  EVENTS,
+  emitEvent
+};
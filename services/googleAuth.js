@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { OAuth2Client } = require('google-auth-library');
+require('dotenv').config();
+
+// Firebase Auth signs ID tokens with these keys (x509 PEM certificates keyed by kid)
+const FIREBASE_CERTS_URL = 'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+const DEFAULT_CERTS_CACHE_SECONDS = 3600;
+
+const client = new OAuth2Client();
+
+let injectedCertificates = null;
+let cachedCertificates = null;
+let cachedUntil = 0;
+
+const splitList = (value) => {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+};
+
+// Accepted audiences: the Firebase project ID and/or Google OAuth client IDs
+const getAudiences = () => {
+  const audiences = [
+    ...splitList(process.env.FIREBASE_PROJECT_ID),
+    ...splitList(process.env.GOOGLE_CLIENT_ID)
+  ];
+  if (audiences.length === 0) {
+    throw new Error('FIREBASE_PROJECT_ID or GOOGLE_CLIENT_ID must be set to verify Google ID tokens');
+  }
+  return audiences;
+};
+
+const getIssuers = () => {
+  if (process.env.GOOGLE_TOKEN_ISSUERS) {
+    return splitList(process.env.GOOGLE_TOKEN_ISSUERS);
+  }
+  return [
+    ...splitList(process.env.FIREBASE_PROJECT_ID).map(id => `https://securetoken.google.com/${id}`),
+    'accounts.google.com',
+    'https://accounts.google.com'
+  ];
+};
+
+// Accept either { kid: pem } or a JWKS document ({ keys: [...] }) and return { kid: pem }
+const normalizeCertificates = (certs) => {
+  if (certs && Array.isArray(certs.keys)) {
+    return certs.keys.reduce((result, jwk) => {
+      result[jwk.kid] = crypto.createPublicKey({ key: jwk, format: 'jwk' })
+        .export({ type: 'spki', format: 'pem' });
+      return result;
+    }, {});
+  }
+  return certs;
+};
+
+// Use a fixed certificate set instead of fetching from Google (tests, offline development)
+const setCertificates = (certs) => {
+  injectedCertificates = certs ? normalizeCertificates(certs) : null;
+};
+
+const fetchCertificates = async () => {
+  const urls = splitList(process.env.GOOGLE_CERTS_URLS);
+  if (urls.length === 0) {
+    urls.push(FIREBASE_CERTS_URL);
+  }
+
+  const certificates = {};
+  let maxAge = DEFAULT_CERTS_CACHE_SECONDS;
+
+  for (const url of urls) {
+    const response = await client.transporter.request({ url });
+    Object.assign(certificates, normalizeCertificates(response.data));
+
+    const cacheControl = response.headers?.['cache-control'] || '';
+    const match = cacheControl.match(/max-age=(\d+)/);
+    if (match) {
+      maxAge = Math.min(maxAge, parseInt(match[1]));
+    }
+  }
+
+  // Google OAuth (non-Firebase) tokens are signed with the federated sign-on certs
+  if (!process.env.GOOGLE_CERTS_URLS && process.env.GOOGLE_CLIENT_ID) {
+    const { certs } = await client.getFederatedSignonCertsAsync();
+    Object.assign(certificates, certs);
+  }
+
+  cachedCertificates = certificates;
+  cachedUntil = Date.now() + maxAge * 1000;
+  return certificates;
+};
+
+const getCertificates = async () => {
+  if (injectedCertificates) {
+    return injectedCertificates;
+  }
+
+  // GOOGLE_CERTS_FILE points at a local JSON file of PEM certs or a JWKS, for offline runs
+  if (process.env.GOOGLE_CERTS_FILE) {
+    const contents = await fs.promises.readFile(process.env.GOOGLE_CERTS_FILE, 'utf8');
+    injectedCertificates = normalizeCertificates(JSON.parse(contents));
+    return injectedCertificates;
+  }
+
+  if (cachedCertificates && Date.now() < cachedUntil) {
+    return cachedCertificates;
+  }
+
+  return fetchCertificates();
+};
+
+/**
+ * Verify a Google or Firebase ID token (signature, audience, issuer and expiry)
+ * and return the identity claims from it.
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const certificates = await getCertificates();
+  const ticket = await client.verifySignedJwtWithCertsAsync(
+    idToken,
+    certificates,
+    getAudiences(),
+    getIssuers()
+  );
+  const payload = ticket.getPayload();
+
+  if (!payload.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return {
+    googleId: payload.sub,
+    email: payload.email ? payload.email.toLowerCase() : null,
+    emailVerified: payload.email_verified === true,
+    name: payload.name || null,
+    photoURL: payload.picture || null
+  };
+};
+
+module.exports = {
+  verifyGoogleIdToken,
+  setCertificates
+};
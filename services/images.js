@@ -0,0 +1,79 @@
+const cloudinary = require('../config/cloudinary');
+
+// Cloudinary accepts at most 100 public IDs per delete_resources call
+const DELETE_BATCH_SIZE = 100;
+
+/**
+ * Extract the Cloudinary public ID from a delivery URL, e.g.
+ * https://res.cloudinary.com/<cloud>/image/upload/v1712/craft-hindustan/brands/abc.jpg
+ * -> craft-hindustan/brands/abc
+ *
+ * Returns null for URLs that aren't images in our Cloudinary account.
+ */
+const publicIdFromUrl = (url) => {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.hostname !== 'res.cloudinary.com') {
+    return null;
+  }
+
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  const [cloudName, resourceType, deliveryType, ...rest] = segments;
+  if (resourceType !== 'image' || deliveryType !== 'upload' || rest.length === 0) {
+    return null;
+  }
+  if (process.env.CLOUDINARY_CLOUD_NAME && cloudName !== process.env.CLOUDINARY_CLOUD_NAME) {
+    return null;
+  }
+
+  // Skip the optional version segment (v1712345678)
+  const pathParts = /^v\d+$/.test(rest[0]) ? rest.slice(1) : rest;
+  if (pathParts.length === 0) {
+    return null;
+  }
+
+  return decodeURIComponent(pathParts.join('/')).replace(/\.[^/.]+$/, '');
+};
+
+/**
+ * Delete images from Cloudinary by URL. URLs that aren't ours are ignored.
+ * Failures are logged rather than thrown so callers can carry on with their cleanup.
+ */
+const deleteImages = async (urls) => {
+  const publicIds = Array.from(new Set((urls || []).map(publicIdFromUrl).filter(Boolean)));
+  let deleted = 0;
+  let failed = 0;
+
+  for (let i = 0; i < publicIds.length; i += DELETE_BATCH_SIZE) {
+    const batch = publicIds.slice(i, i + DELETE_BATCH_SIZE);
+    try {
+      const result = await cloudinary.api.delete_resources(batch, { resource_type: 'image' });
+      Object.values(result.deleted || {}).forEach(status => {
+        if (status === 'deleted' || status === 'not_found') {
+          deleted++;
+        } else {
+          failed++;
+        }
+      });
+    } catch (error) {
+      console.error('Cloudinary delete error:', error.message || error);
+      failed += batch.length;
+    }
+  }
+
+  return { deleted, failed };
+};
+
+module.exports = {
+  publicIdFromUrl,
+  deleteImages
+};
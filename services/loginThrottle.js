@@ -0,0 +1,176 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures before each attempt is delayed, and the cap on that delay
+const DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+const MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 60;
+// Failures that trigger a temporary lockout
+const ACCOUNT_LOCK_THRESHOLD = parseInt(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Counters reset after this long without a failure
+const ATTEMPT_WINDOW_HOURS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_HOURS) || 24;
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const getKeys = ({ email, ip }) => {
+  const keys = [];
+  if (email) {
+    keys.push({ key: accountKey(email), scope: 'account', identifier: String(email).toLowerCase().trim() });
+  }
+  if (ip) {
+    keys.push({ key: ipKey(ip), scope: 'ip', identifier: ip });
+  }
+  return keys;
+};
+
+// Progressive delay: 1s, 2s, 4s ... after DELAY_AFTER_FAILURES failures
+const getDelaySeconds = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+const windowEnd = (now) => new Date(now.getTime() + ATTEMPT_WINDOW_HOURS * 60 * 60 * 1000);
+
+const lockThreshold = (scope) => (scope === 'account' ? ACCOUNT_LOCK_THRESHOLD : IP_LOCK_THRESHOLD);
+
+// Why a counter refuses an attempt right now, or null
+const getRefusal = (attempt, now) => {
+  const lockCode = attempt.scope === 'ip' ? 'IP_LOCKED' : 'ACCOUNT_LOCKED';
+  if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+    return {
+      allowed: false,
+      code: lockCode,
+      scope: attempt.scope,
+      retryAfter: Math.ceil((attempt.lockedUntil.getTime() - now) / 1000)
+    };
+  }
+  // Parallel attempts already reached the threshold; the lockout starts as they fail
+  if (attempt.failures >= lockThreshold(attempt.scope)) {
+    return {
+      allowed: false,
+      code: lockCode,
+      scope: attempt.scope,
+      retryAfter: LOCKOUT_MINUTES * 60
+    };
+  }
+
+  const delay = getDelaySeconds(attempt.failures);
+  if (delay > 0 && attempt.lastFailureAt) {
+    const nextAllowedAt = attempt.lastFailureAt.getTime() + delay * 1000;
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        code: 'TOO_MANY_ATTEMPTS',
+        scope: attempt.scope,
+        retryAfter: Math.ceil((nextAllowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a login attempt may proceed.
+ * Returns { allowed: true } or { allowed: false, code, scope, retryAfter } (seconds).
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const keys = getKeys({ email, ip }).map(k => k.key);
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+  const now = Date.now();
+
+  const refusal = attempts.map(attempt => getRefusal(attempt, now)).find(Boolean);
+  return refusal || { allowed: true };
+};
+
+// Take back a counted attempt (never below zero, in case a lockout reset the counter)
+const uncountAttempt = (keys) => LoginAttempt.updateMany(
+  { key: { $in: keys }, failures: { $gt: 0 } },
+  { $inc: { failures: -1 } }
+);
+
+/**
+ * Count a login attempt against the account and the IP before the credentials are checked,
+ * so parallel guesses can't all slip in under the limits. Returns the same as
+ * checkLoginAllowed; a refused attempt isn't counted. Follow up with recordLoginFailure
+ * or recordLoginSuccess.
+ */
+const beginLoginAttempt = async ({ email, ip }) => {
+  const throttle = await checkLoginAllowed({ email, ip });
+  if (!throttle.allowed) {
+    return throttle;
+  }
+
+  const now = new Date();
+  const keys = getKeys({ email, ip });
+  const previous = await Promise.all(keys.map(({ key, scope, identifier }) => LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: { expiresAt: windowEnd(now) },
+      $setOnInsert: { scope, identifier }
+    },
+    { upsert: true, new: false }
+  )));
+
+  // Another attempt was counted (or failed) between the check and ours
+  const refusal = previous.filter(Boolean).map(attempt => getRefusal(attempt, now.getTime())).find(Boolean);
+  if (refusal) {
+    await uncountAttempt(keys.map(k => k.key));
+    return refusal;
+  }
+  return { allowed: true };
+};
+
+// The attempt counted by beginLoginAttempt failed: start its delay, and lock the account
+// or IP when its threshold is hit
+const recordLoginFailure = async ({ email, ip }) => {
+  const now = new Date();
+  const expiresAt = windowEnd(now);
+
+  await Promise.all(getKeys({ email, ip }).map(async ({ key, scope }) => {
+    await LoginAttempt.updateOne({ key }, { $set: { lastFailureAt: now, expiresAt } });
+
+    // Only one of several parallel failures gets to lock (and reset the counter)
+    const threshold = lockThreshold(scope);
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { key, failures: { $gte: threshold } },
+      {
+        $set: { failures: 0, lockedUntil, expiresAt: new Date(Math.max(expiresAt, lockedUntil)) },
+        $inc: { lockCount: 1 }
+      }
+    );
+    if (locked) {
+      console.warn(`Login lockout: ${key} locked until ${lockedUntil.toISOString()}`);
+    }
+  }));
+};
+
+// A successful login clears the account counter. The IP only gets its attempt back,
+// so one valid account can't be used to reset limits for guesses against others.
+const recordLoginSuccess = async ({ email, ip }) => {
+  if (email) {
+    await LoginAttempt.deleteOne({ key: accountKey(email) });
+  }
+  if (ip) {
+    await uncountAttempt([ipKey(ip)]);
+  }
+};
+
+// Remove the lockout for an account (used by password reset and admins)
+const clearAccountLockout = async (email) => {
+  const result = await LoginAttempt.deleteOne({ key: accountKey(email) });
+  return result.deletedCount > 0;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  beginLoginAttempt,
+  recordLoginFailure,
+  recordLoginSuccess,
+  clearAccountLockout
+};
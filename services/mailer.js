@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Craft Hindustan <no-reply@crafthindustan.com>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// Console transport - prints the message, handy for local development
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log('📧 Email (console transport):');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+// File transport - writes each message as a JSON file so tests can read it back
+const fileTransport = {
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const filePath = path.join(MAIL_OUTBOX_DIR, `${messageId}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+    return { messageId, filePath };
+  }
+};
+
+// SMTP transport - real delivery through nodemailer (configure SMTP_* in .env)
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const transportFactories = {
+  console: () => consoleTransport,
+  file: () => fileTransport,
+  smtp: createSmtpTransport
+};
+
+let activeTransport = null;
+
+// Register a custom transport (e.g. SendGrid, SES) under a name usable in MAIL_TRANSPORT
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+// Replace the active transport, mainly for tests
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+// These don't deliver anything, and the console one would print login and reset links to the logs
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// Name of the configured transport. Throws in production unless it really delivers email.
+const checkMailTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`MAIL_TRANSPORT=${name} doesn't deliver email. Set MAIL_TRANSPORT=smtp (or a registered transport) in production.`);
+  }
+  return name;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = checkMailTransport();
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  return transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const getFrontendUrl = () => {
+  return (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+};
+
+// Password reset email with a single-use link
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Craft Hindustan password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your Craft Hindustan password.',
+      `Open the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      '',
+      resetUrl,
+      '',
+      'If you did not request this, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your Craft Hindustan password.</p>
+<p><a href="${resetUrl}">Choose a new password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p>If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Email verification link sent after registration or an email change
+const sendVerificationEmail = (user, token) => {
+  const verifyUrl = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your Craft Hindustan email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm that this is your email address by opening the link below.',
+      'You need a verified email address before you can publish a brand or a post.',
+      '',
+      verifyUrl
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm that this is your email address.</p>
+<p><a href="${verifyUrl}">Verify my email</a></p>
+<p>You need a verified email address before you can publish a brand or a post.</p>`
+  });
+};
+
+// Passwordless login link
+const sendMagicLinkEmail = (user, token, expiresInMinutes) => {
+  const loginUrl = `${getFrontendUrl()}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Craft Hindustan login link',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Open the link below to log in to Craft Hindustan.',
+      `It expires in ${expiresInMinutes} minutes and can only be used once.`,
+      '',
+      loginUrl,
+      '',
+      'If you did not ask to log in, you can ignore this email.'
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p><a href="${loginUrl}">Log in to Craft Hindustan</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+<p>If you did not ask to log in, you can ignore this email.</p>`
+  });
+};
+
+// Confirmation that an account deletion was requested, with the way back
+const sendAccountDeletionScheduledEmail = (user, scheduledFor) => {
+  const accountUrl = `${getFrontendUrl()}/account`;
+  const date = scheduledFor.toUTCString();
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your Craft Hindustan account is scheduled for deletion',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Your Craft Hindustan account will be permanently deleted on ${date}.`,
+      'Your brand and posts will be unpublished and your images removed. Messages you sent stay visible to the people you talked to, without your name.',
+      '',
+      'Changed your mind? Log in and cancel the deletion before that date:',
+      accountUrl
+    ].join('\n'),
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Your Craft Hindustan account will be permanently deleted on ${escapeHtml(date)}.</p>
+<p>Your brand and posts will be unpublished and your images removed. Messages you sent stay visible to the people you talked to, without your name.</p>
+<p>Changed your mind? <a href="${accountUrl}">Log in and cancel the deletion</a> before that date.</p>`
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail,
+  sendAccountDeletionScheduledEmail,
+  registerTransport,
+  setTransport,
+  checkMailTransport,
+  getFrontendUrl
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const OtpCode = require('../models/OtpCode');
+const { sendSms } = require('./sms');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// Codes are only 6 digits, so they are keyed with a server secret rather than plainly hashed
+const OTP_SECRET = process.env.OTP_SECRET || `${JWT_SECRET}:phone-otp`;
+const OTP_EXPIRE_MINUTES = parseInt(process.env.OTP_EXPIRE_MINUTES) || 5;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS) || 60;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+// Used when a number is entered without a country code (e.g. 98765 43210)
+const DEFAULT_COUNTRY_CODE = process.env.PHONE_DEFAULT_COUNTRY_CODE || '91';
+
+class OtpError extends Error {
+  constructor(message, code, retryAfter = null) {
+    super(message);
+    this.name = 'OtpError';
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Normalise a phone number to E.164 (+919876543210).
+ * Returns null if it doesn't look like a phone number.
+ */
+const normalizePhoneNumber = (input) => {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+  const trimmed = input.trim();
+  let digits = trimmed.replace(/[\s\-().]/g, '');
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else {
+    digits = `${DEFAULT_COUNTRY_CODE}${digits.replace(/^0/, '')}`;
+  }
+
+  return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+};
+
+const hashCode = (phoneNumber, purpose, code) => {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${phoneNumber}:${purpose}:${code}`).digest('hex');
+};
+
+/**
+ * Generate and text a code. Enforces a resend cooldown and an hourly cap per number,
+ * throwing OtpError with code OTP_RATE_LIMITED (and retryAfter seconds) when exceeded.
+ */
+const sendOtp = async ({ phoneNumber, purpose, user }) => {
+  const now = Date.now();
+  const recent = await OtpCode.find({
+    phoneNumber,
+    purpose,
+    createdAt: { $gt: new Date(now - 60 * 60 * 1000) }
+  })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  if (recent.length > 0) {
+    const sinceLast = (now - recent[0].createdAt.getTime()) / 1000;
+    if (sinceLast < OTP_RESEND_SECONDS) {
+      throw new OtpError('Please wait before requesting another code', 'OTP_RATE_LIMITED',
+        Math.ceil(OTP_RESEND_SECONDS - sinceLast));
+    }
+  }
+  if (recent.length >= OTP_MAX_PER_HOUR) {
+    const oldest = recent[recent.length - 1].createdAt.getTime();
+    throw new OtpError('Too many codes requested. Please try again later.', 'OTP_RATE_LIMITED',
+      Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000));
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  // A new code replaces any earlier one for the same number and purpose
+  await OtpCode.updateMany(
+    { phoneNumber, purpose, consumedAt: null },
+    { $set: { consumedAt: new Date(now) } }
+  );
+  await OtpCode.create({
+    phoneNumber,
+    purpose,
+    user: user._id,
+    codeHash: hashCode(phoneNumber, purpose, code),
+    expiresAt: new Date(now + OTP_EXPIRE_MINUTES * 60 * 1000)
+  });
+
+  const action = purpose === 'login' ? 'log in to' : 'verify your phone number on';
+  await sendSms({
+    to: phoneNumber,
+    body: `${code} is your code to ${action} Craft Hindustan. It expires in ${OTP_EXPIRE_MINUTES} minutes. Never share this code.`
+  });
+};
+
+/**
+ * Check a code for a number. Single use: a correct code is consumed.
+ * Returns the OtpCode document (with its user) or null.
+ */
+const verifyOtp = async ({ phoneNumber, purpose, code }) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const otp = await OtpCode.findOne({
+    phoneNumber,
+    purpose,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+    attempts: { $lt: OTP_MAX_ATTEMPTS }
+  })
+    .sort({ createdAt: -1 })
+    .select('+codeHash');
+
+  if (!otp) {
+    return null;
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phoneNumber, purpose, normalized), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    await OtpCode.updateOne({ _id: otp._id }, { $inc: { attempts: 1 } });
+    return null;
+  }
+
+  // Atomic so two requests can't both use the same code
+  const consumed = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } },
+    { new: true }
+  );
+  return consumed;
+};
+
+module.exports = {
+  OtpError,
+  OTP_EXPIRE_MINUTES,
+  normalizePhoneNumber,
+  sendOtp,
+  verifyOtp
+};
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { resolveSearch, withSearch, findSearchResults, MAX_QUERY_LENGTH } = require('./postSearch');
+const { getOffset, offsetPageInfo, paginate } = require('../utils/pagination');
+const { normalizeOptionName, OPTION_NAME_PATTERN } = require('./postVariants');
+const { liveNowFilter } = require('./postSchedule');
+
+// Every order ends in _id so pages are stable
+const SORT_OPTIONS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price_asc: { price: 1, createdAt: -1, _id: -1 },
+  price_desc: { price: -1, createdAt: -1, _id: -1 },
+  most_viewed: { views: -1, createdAt: -1, _id: -1 },
+  most_liked: { likes: -1, createdAt: -1, _id: -1 },
+  // Only meaningful with ?q=; ordering comes from the search score
+  relevance: null
+};
+
+// Lower bounds of the price facet buckets (INR); the last bucket is open-ended
+const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000, 10000];
+// Statuses anyone may list; the rest (and status=all) need `privileged`
+const PUBLIC_STATUSES = ['published', 'sold'];
+const PRIVILEGED_STATUSES = ['all', ...Post.schema.path('status').enumValues];
+const TOP_TAGS_LIMIT = 20;
+const TOP_OPTION_VALUES_LIMIT = 100;
+
+const POPULATE = [
+  { path: 'author', select: 'name email photoURL' },
+  { path: 'brand', select: 'name picture' }
+];
+
+class CatalogQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogQueryError';
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both ?tags=a,b and ?tags=a&tags=b
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return Array.from(new Set(values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean)));
+};
+
+// Aggregations don't cast, so ids are converted up front
+const toObjectIds = (values, name) => values.map(value => {
+  if (!mongoose.Types.ObjectId.isValid(value)) {
+    throw new CatalogQueryError(`Invalid ${name} ID: ${value}`);
+  }
+  return new mongoose.Types.ObjectId(value);
+});
+
+const toPrice = (value, name) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new CatalogQueryError(`${name} must be a non-negative number`);
+  }
+  return price;
+};
+
+const toBoolean = (value) => {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+};
+
+// ?option[size]=M,L&option[colour]=indigo -> { 'options.size': { $in: [/^M$/i, /^L$/i] }, ... }
+const toOptionFilters = (value) => {
+  if (value === undefined) {
+    return {};
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new CatalogQueryError('option filters look like option[size]=M');
+  }
+  const filters = {};
+  Object.entries(value).forEach(([rawName, rawValues]) => {
+    const name = normalizeOptionName(rawName);
+    if (!OPTION_NAME_PATTERN.test(name)) {
+      throw new CatalogQueryError(`Invalid option name: ${rawName}`);
+    }
+    const values = toList(rawValues);
+    if (values.length) {
+      filters[`options.${name}`] = { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) };
+    }
+  });
+  return filters;
+};
+
+// Merge filter clauses into one $match object
+const allOf = (...clauses) => {
+  const nonEmpty = clauses.filter(clause => clause && Object.keys(clause).length > 0);
+  if (nonEmpty.length === 0) {
+    return {};
+  }
+  return nonEmpty.length === 1 ? nonEmpty[0] : { $and: nonEmpty };
+};
+
+/**
+ * Turn GET /api/posts query parameters into Mongo filters.
+ *
+ * Category, price and tag filters are kept apart from the rest so each facet can be
+ * counted without its own filter (picking "Pottery" still shows counts for the other
+ * categories). Throws CatalogQueryError for invalid values.
+ *
+ * Public callers can only list PUBLIC_STATUSES, and only posts inside their publishAt /
+ * expiresAt window. `privileged` (owner-scoped or staff callers) also allows drafts,
+ * expired posts and status=all.
+ */
+const parseCatalogQuery = (params = {}, { privileged = false } = {}) => {
+  const base = {};
+
+  const status = params.status === undefined || params.status === '' ? 'published' : params.status;
+  const allowed = privileged ? PRIVILEGED_STATUSES : PUBLIC_STATUSES;
+  if (typeof status !== 'string' || !allowed.includes(status)) {
+    throw new CatalogQueryError(`status must be one of: ${allowed.join(', ')}`);
+  }
+  if (status !== 'all') {
+    base.status = status;
+  }
+  if (!privileged || status === 'published') {
+    // Hide posts that expired (or aren't due yet) before the scheduler catches up
+    Object.assign(base, liveNowFilter());
+  }
+
+  const authors = toList(params.author);
+  if (authors.length) {
+    base.author = { $in: toObjectIds(authors, 'author') };
+  }
+
+  const brands = toList(params.brands).concat(toList(params.brand));
+  if (brands.length) {
+    base.brand = { $in: toObjectIds(brands, 'brand') };
+  }
+
+  if (params.location && String(params.location).trim()) {
+    base.location = { $regex: escapeRegex(String(params.location).trim()), $options: 'i' };
+  }
+
+  // Option, stock and price filters apply per variant: "size M in stock under 500"
+  // needs one variant that is all three
+  const optionFilters = toOptionFilters(params.option);
+  const hasOptions = Object.keys(optionFilters).length > 0;
+
+  const inStock = toBoolean(params.inStock);
+  const stock = inStock === undefined ? undefined : (inStock ? { $gt: 0 } : { $lte: 0 });
+  if (hasOptions) {
+    base.variants = { $elemMatch: { ...optionFilters, ...(stock && { quantity: stock }) } };
+  } else if (stock) {
+    // Post quantity is the total over the variants
+    base.quantity = stock;
+  }
+
+  const categories = toList(params.categories).concat(toList(params.category));
+  const category = categories.length ? { category: { $in: categories } } : {};
+
+  const minPrice = toPrice(params.minPrice, 'minPrice');
+  const maxPrice = toPrice(params.maxPrice, 'maxPrice');
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    throw new CatalogQueryError('minPrice cannot be greater than maxPrice');
+  }
+  let price = {};
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const range = {};
+    if (minPrice !== undefined) {
+      range.$gte = minPrice;
+    }
+    if (maxPrice !== undefined) {
+      range.$lte = maxPrice;
+    }
+    // A post with variants matches if any (matching) variant is in range
+    const variantInRange = {
+      variants: { $elemMatch: { ...optionFilters, ...(hasOptions && stock && { quantity: stock }), price: range } }
+    };
+    price = hasOptions
+      ? variantInRange
+      : { $or: [{ 'variants.0': { $exists: false }, price: range }, variantInRange] };
+  }
+
+  // Tags are stored as typed, so match them case-insensitively
+  const tagList = toList(params.tags).concat(toList(params.tag));
+  const tags = tagList.length
+    ? { tags: { $in: tagList.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) } }
+    : {};
+
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new CatalogQueryError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  let sort = params.sort || (q ? 'relevance' : 'newest');
+  if (!Object.prototype.hasOwnProperty.call(SORT_OPTIONS, sort)) {
+    throw new CatalogQueryError(`sort must be one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+  }
+  if (sort === 'relevance' && !q) {
+    sort = 'newest';
+  }
+
+  return {
+    q,
+    sort,
+    clauses: { base, category, price, tags }
+  };
+};
+
+// The filters of parseCatalogQuery() as one Mongo filter, for callers without facets
+const buildCatalogFilter = (params, options) => {
+  const { clauses } = parseCatalogQuery(params, options);
+  return allOf(clauses.base, clauses.category, clauses.price, clauses.tags);
+};
+
+const formatPriceFacet = (buckets) => {
+  const counts = new Map(buckets.map(bucket => [bucket._id, bucket.count]));
+  return PRICE_BUCKETS.map((min, index) => ({
+    min,
+    max: PRICE_BUCKETS[index + 1] ?? null,
+    count: counts.get(min) || 0
+  }));
+};
+
+// { size: [{ value: 'm', count: 4 }], colour: [...] }
+const formatOptionsFacet = (groups) => {
+  const options = {};
+  groups.forEach(({ _id, count }) => {
+    if (!options[_id.name]) {
+      options[_id.name] = [];
+    }
+    options[_id.name].push({ value: _id.value, count });
+  });
+  return options;
+};
+
+/**
+ * Facet counts for the filter sidebar, in one aggregation:
+ * categories, price buckets, price range, variant option values and the most used tags.
+ */
+const getFacets = async (baseMatch, { category, price, tags }) => {
+  const [result] = await Post.aggregate([
+    { $match: baseMatch },
+    {
+      $facet: {
+        categories: [
+          { $match: allOf(price, tags) },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priceBuckets: [
+          { $match: allOf(category, tags) },
+          {
+            $bucket: {
+              groupBy: '$price',
+              // The extra upper bound makes the last bucket open-ended
+              boundaries: PRICE_BUCKETS.concat(Number.MAX_SAFE_INTEGER),
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        priceRange: [
+          { $match: allOf(category, tags) },
+          { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+        ],
+        options: [
+          { $match: allOf(category, price, tags) },
+          { $unwind: '$variants' },
+          { $project: { option: { $objectToArray: '$variants.options' } } },
+          { $unwind: '$option' },
+          { $group: { _id: { name: '$option.k', value: { $toLower: '$option.v' } }, posts: { $addToSet: '$_id' } } },
+          { $project: { count: { $size: '$posts' } } },
+          { $sort: { count: -1, '_id.value': 1 } },
+          { $limit: TOP_OPTION_VALUES_LIMIT }
+        ],
+        tags: [
+          { $match: allOf(category, price) },
+          { $unwind: '$tags' },
+          { $group: { _id: { $toLower: '$tags' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_TAGS_LIMIT }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    categories: result.categories.map(({ _id, count }) => ({ value: _id, count })),
+    priceBuckets: formatPriceFacet(result.priceBuckets),
+    priceRange: result.priceRange[0]
+      ? { min: result.priceRange[0].min, max: result.priceRange[0].max }
+      : { min: null, max: null },
+    options: formatOptionsFacet(result.options),
+    tags: result.tags.map(({ _id, count }) => ({ value: _id, count }))
+  };
+};
+
+/**
+ * One page of the public catalog, optionally searched, with facet counts.
+ * `pageParams` comes from getPageParams(). Browsing uses keyset cursors; search
+ * results are ordered by score, so they are paged with offset cursors.
+ * Returns { posts, pageInfo, sort, searchMode, facets }.
+ */
+const listPosts = async (params, pageParams, { includeFacets = true } = {}) => {
+  const { q, sort, clauses } = parseCatalogQuery(params);
+  const filters = allOf(clauses.base, clauses.category, clauses.price, clauses.tags);
+
+  const search = q ? await resolveSearch(q, filters) : null;
+  const match = withSearch(filters, search);
+  const sortSpec = SORT_OPTIONS[sort];
+
+  const pagePromise = search
+    ? (async () => {
+      const offset = getOffset(pageParams);
+      const [fetched, total] = await Promise.all([
+        findSearchResults(search, filters, { skip: offset, limit: pageParams.limit + 1, sort: sortSpec }),
+        pageParams.mode === 'page' ? Post.countDocuments(match) : undefined
+      ]);
+      return {
+        items: fetched.slice(0, pageParams.limit),
+        pageInfo: offsetPageInfo(pageParams, offset, fetched.length, total)
+      };
+    })()
+    : paginate(Post, match, pageParams, {
+      sort: sortSpec,
+      prepare: (query) => query.populate(POPULATE)
+    });
+
+  // $text has to be in the first stage, so facets start from base + search
+  const facetsPromise = includeFacets
+    ? getFacets(withSearch(clauses.base, search), clauses)
+    : Promise.resolve(undefined);
+
+  const [{ items, pageInfo }, facets] = await Promise.all([pagePromise, facetsPromise]);
+
+  return {
+    posts: items,
+    pageInfo,
+    sort,
+    searchMode: search ? search.mode : undefined,
+    facets
+  };
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  PRICE_BUCKETS,
+  PUBLIC_STATUSES,
+  CatalogQueryError,
+  parseCatalogQuery,
+  buildCatalogFilter,
+  getFacets,
+  listPosts
+};
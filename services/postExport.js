@@ -0,0 +1,311 @@
+const Post = require('../models/Post');
+const { buildCatalogFilter } = require('./postCatalog');
+const { resolveSearch, withSearch } = require('./postSearch');
+const { getFrontendUrl } = require('./mailer');
+const { toCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  xml: { contentType: 'application/xml; charset=utf-8', extension: 'xml' }
+};
+const EXPORT_STATUSES = ['all', ...Post.schema.path('status').enumValues];
+
+const CURRENCY = 'INR';
+// Path of a post's page on the website; :id is replaced with the post ID
+const PRODUCT_URL_PATH = process.env.PRODUCT_URL_PATH || '/products/:id';
+const CURSOR_BATCH_SIZE = 200;
+
+// Same names as the import columns where there is one, so an export can be imported again
+const CSV_COLUMNS = [
+  'id', 'title', 'description', 'category', 'price', 'currency', 'quantity', 'status',
+  'brand', 'brandId', 'tags', 'images', 'url', 'location', 'variants',
+  'publishAt', 'expiresAt', 'publishedAt', 'createdAt', 'updatedAt'
+];
+
+// Variant options with a matching Merchant attribute
+const FEED_OPTION_ATTRIBUTES = {
+  colour: 'g:color',
+  color: 'g:color',
+  size: 'g:size',
+  material: 'g:material',
+  pattern: 'g:pattern'
+};
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExportError';
+  }
+}
+
+const productUrl = (post) => `${getFrontendUrl()}${PRODUCT_URL_PATH.replace(':id', post._id)}`;
+
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Read the format and filters of an export request. Filters are those of GET /api/posts,
+ * search (`q`) included, so the current search can be exported; `status` defaults to all
+ * and `updatedSince` picks posts changed since a date.
+ * The xml feed only ever holds published, live posts. `scope` is ANDed in (e.g. { brand }).
+ * Resolves to { format, filter }; throws ExportError (or CatalogQueryError) for bad values.
+ */
+const buildExportQuery = async (params = {}, scope = {}) => {
+  const format = params.format || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw new ExportError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  let status = params.status || 'all';
+  if (!EXPORT_STATUSES.includes(status)) {
+    throw new ExportError(`status must be one of: ${EXPORT_STATUSES.join(', ')}`);
+  }
+  if (format === 'xml') {
+    if (params.status && status !== 'published') {
+      throw new ExportError('The xml feed only includes published posts');
+    }
+    status = 'published';
+  }
+
+  const clauses = [buildCatalogFilter({ ...params, status }, { privileged: true }), scope];
+
+  if (params.updatedSince) {
+    const since = new Date(params.updatedSince);
+    if (Number.isNaN(since.getTime())) {
+      throw new ExportError('updatedSince must be an ISO 8601 date');
+    }
+    clauses.push({ updatedAt: { $gte: since } });
+  }
+
+  const nonEmpty = clauses.filter(clause => Object.keys(clause).length > 0);
+  const filter = nonEmpty.length ? { $and: nonEmpty } : {};
+
+  // Same matching as the catalog: the text index, or prefix/typo matching when it finds nothing
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  const search = q ? await resolveSearch(q, filter) : null;
+
+  return {
+    format,
+    filter: withSearch(filter, search)
+  };
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const neutralizeFormula = (value) => (
+  typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+);
+
+const toVariantRecord = (variant) => ({
+  id: variant._id,
+  sku: variant.sku || null,
+  options: variant.options || {},
+  price: variant.price,
+  quantity: variant.quantity,
+  images: variant.images || []
+});
+
+const toCsvLine = (post) => toCsvRow([
+  post._id,
+  post.title,
+  post.description,
+  post.category,
+  post.price,
+  CURRENCY,
+  post.quantity,
+  post.status,
+  post.brandName,
+  post.brand,
+  (post.tags || []).join(', '),
+  (post.images || []).join('|'),
+  productUrl(post),
+  post.location,
+  post.variants && post.variants.length ? JSON.stringify(post.variants.map(toVariantRecord)) : '',
+  toIso(post.publishAt),
+  toIso(post.expiresAt),
+  toIso(post.publishedAt),
+  toIso(post.createdAt),
+  toIso(post.updatedAt)
+].map(neutralizeFormula));
+
+const toJsonLine = (post) => `${JSON.stringify({
+  id: post._id,
+  title: post.title,
+  description: post.description,
+  category: post.category,
+  price: post.price,
+  currency: CURRENCY,
+  quantity: post.quantity,
+  status: post.status,
+  brand: { id: post.brand, name: post.brandName },
+  tags: post.tags || [],
+  images: post.images || [],
+  url: productUrl(post),
+  location: post.location || null,
+  variants: (post.variants || []).map(toVariantRecord),
+  publishAt: toIso(post.publishAt),
+  expiresAt: toIso(post.expiresAt),
+  publishedAt: toIso(post.publishedAt),
+  createdAt: toIso(post.createdAt),
+  updatedAt: toIso(post.updatedAt)
+})}\n`;
+
+// Escape text for XML, dropping control characters XML 1.0 doesn't allow
+const escapeXml = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value) => (
+  value === null || value === undefined || value === '' ? '' : `<${name}>${escapeXml(value)}</${name}>`
+);
+
+const feedItem = (post, { id, title, price, quantity, images, itemGroupId = null, options = {} }) => {
+  const [imageLink, ...additionalImages] = images;
+  return [
+    '<item>',
+    xmlElement('g:id', id),
+    xmlElement('g:item_group_id', itemGroupId),
+    xmlElement('title', title),
+    xmlElement('description', post.description),
+    xmlElement('link', productUrl(post)),
+    xmlElement('g:image_link', imageLink),
+    ...additionalImages.slice(0, 10).map(url => xmlElement('g:additional_image_link', url)),
+    xmlElement('g:price', `${Number(price).toFixed(2)} ${CURRENCY}`),
+    xmlElement('g:availability', quantity > 0 ? 'in_stock' : 'out_of_stock'),
+    xmlElement('g:condition', 'new'),
+    xmlElement('g:brand', post.brandName),
+    xmlElement('g:product_type', post.category),
+    // Handmade items have no GTIN or MPN
+    xmlElement('g:identifier_exists', 'no'),
+    ...Object.entries(options)
+      .filter(([name]) => FEED_OPTION_ATTRIBUTES[name])
+      .map(([name, value]) => xmlElement(FEED_OPTION_ATTRIBUTES[name], value)),
+    '</item>\n'
+  ].join('');
+};
+
+// One item per post, or one per variant grouped by the post ID
+const toFeedItems = (post) => {
+  const variants = post.variants || [];
+  if (variants.length === 0) {
+    return feedItem(post, {
+      id: post._id,
+      title: post.title,
+      price: post.price,
+      quantity: post.quantity,
+      images: post.images || []
+    });
+  }
+
+  return variants.map(variant => {
+    const options = variant.options || {};
+    const label = Object.values(options).join(' / ');
+    return feedItem(post, {
+      id: variant.sku || `${post._id}-${variant._id}`,
+      itemGroupId: post._id,
+      title: label ? `${post.title} - ${label}` : post.title,
+      price: variant.price,
+      quantity: variant.quantity,
+      images: variant.images && variant.images.length ? variant.images : post.images || [],
+      options
+    });
+  }).join('');
+};
+
+const FORMATTERS = {
+  csv: {
+    header: () => toCsvRow(CSV_COLUMNS),
+    item: toCsvLine,
+    footer: () => ''
+  },
+  jsonl: {
+    header: () => '',
+    item: toJsonLine,
+    footer: () => ''
+  },
+  xml: {
+    header: () => [
+      '<?xml version="1.0" encoding="UTF-8"?>\n',
+      '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n<channel>\n',
+      xmlElement('title', 'Craft Hindustan'),
+      xmlElement('link', getFrontendUrl()),
+      xmlElement('description', 'Handmade crafts from Indian artisans'),
+      '\n'
+    ].join(''),
+    item: toFeedItems,
+    footer: () => '</channel>\n</rss>\n'
+  }
+};
+
+/**
+ * Stream the posts matching `filter` to `res` as a download, one batch from the
+ * database at a time, waiting for the client whenever the socket buffer is full.
+ * Stops early if the client goes away. Returns the number of posts written.
+ */
+const streamExport = async (res, filter, { format, fileName }) => {
+  const formatter = FORMATTERS[format];
+  const { contentType, extension } = EXPORT_FORMATS[format];
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const write = (chunk) => {
+    if (!chunk || res.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  };
+
+  const cursor = Post.find(filter)
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+  let count = 0;
+  await write(formatter.header());
+  for await (const post of cursor) {
+    if (closed) {
+      break;
+    }
+    await write(formatter.item(post));
+    count++;
+  }
+
+  if (!closed) {
+    res.end(formatter.footer());
+  }
+  return count;
+};
+
+// "Blue Pottery Co." -> "craft-hindustan-blue-pottery-co-2024-05-01"
+const exportFileName = (label) => {
+  const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return ['craft-hindustan', slug, new Date().toISOString().slice(0, 10)].filter(Boolean).join('-');
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  ExportError,
+  productUrl,
+  buildExportQuery,
+  streamExport,
+  exportFileName
+};
@@ -0,0 +1,546 @@
+const path = require('path');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const ExcelJS = require('exceljs');
+const cloudinary = require('../config/cloudinary');
+const Post = require('../models/Post');
+const ImportJob = require('../models/ImportJob');
+const { parseCsv } = require('../utils/csv');
+const { deleteImages } = require('./images');
+const { applySchedule, ScheduleError } = require('./postSchedule');
+const { snapshot, recordRevision } = require('./revisions');
+const { refreshBrandPostCount } = require('./trash');
+const { emitEvent, EVENTS } = require('./events');
+
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS) || 500;
+const MAX_IMAGES = 5;
+const MAX_ARCHIVE_IMAGE_SIZE = 5 * 1024 * 1024;
+// Uncompressed, so a small zip can't expand into something huge
+const MAX_ARCHIVE_TOTAL_SIZE = 200 * 1024 * 1024;
+const MAX_STORED_ERRORS = 1000;
+// A running job saves its progress after every row; one quiet for this long has died with its server
+const STALE_JOB_MINUTES = 15;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+const CATEGORIES = Post.schema.path('category').enumValues;
+
+// Spreadsheet headers (lower case, letters and digits only) and the post field each fills
+const COLUMNS = {
+  title: 'title',
+  description: 'description',
+  category: 'category',
+  price: 'price',
+  quantity: 'quantity',
+  tags: 'tags',
+  location: 'location',
+  status: 'status',
+  publishat: 'publishAt',
+  expiresat: 'expiresAt',
+  images: 'images',
+  image: 'images',
+  imageurls: 'images'
+};
+const REQUIRED_COLUMNS = ['title', 'description', 'category', 'price', 'images'];
+
+const IMAGE_UPLOAD_OPTIONS = {
+  folder: 'craft-hindustan',
+  resource_type: 'image',
+  transformation: [
+    { width: 1200, height: 1200, crop: 'limit' },
+    { quality: 'auto' }
+  ]
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Displayed text of an exceljs cell value (rich text, links, formulas, dates)
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.hyperlink) {
+      return typeof value.text === 'string' ? value.text : value.hyperlink;
+    }
+    if ('result' in value) {
+      return cellText(value.result);
+    }
+    return '';
+  }
+  return String(value);
+};
+
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+  if (extension === '.xlsx' || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  throw new ImportError('Upload the listings as a .csv or .xlsx file');
+};
+
+const hasContent = (cells) => cells.some(cell => String(cell).trim() !== '');
+
+// [{ line, cells: [...] }], line being the row number in the sheet. Spreadsheets are
+// streamed from the first sheet and reading stops once there are more rows than can be
+// imported (toRecords reports that), so a huge sheet is never loaded whole.
+const readSheetRows = async (file, format) => {
+  if (format === 'csv') {
+    return parseCsv(file.buffer.toString('utf8')).map((cells, index) => ({ line: index + 1, cells }));
+  }
+
+  const rows = [];
+  let filledRows = 0;
+  try {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(Readable.from([file.buffer]), {
+      worksheets: 'emit',
+      sharedStrings: 'cache',
+      hyperlinks: 'ignore',
+      styles: 'ignore',
+      entries: 'ignore'
+    });
+    for await (const worksheet of reader) {
+      for await (const row of worksheet) {
+        const cells = [];
+        for (let i = 1; i <= row.cellCount; i++) {
+          cells.push(cellText(row.getCell(i).value));
+        }
+        rows.push({ line: row.number, cells });
+        // The header plus one row over the limit is enough to refuse the file
+        if (hasContent(cells) && ++filledRows > MAX_IMPORT_ROWS + 1) {
+          break;
+        }
+      }
+      break;
+    }
+  } catch (error) {
+    throw new ImportError('Could not read the spreadsheet. Save it as .xlsx and try again.');
+  }
+  return rows;
+};
+
+// Map the header row to fields and turn the rest into { line, values } records
+const toRecords = (rows) => {
+  const [header, ...dataRows] = rows;
+  if (!header) {
+    throw new ImportError('The spreadsheet is empty');
+  }
+
+  const fields = [];
+  const ignoredColumns = [];
+  header.cells.forEach((name, index) => {
+    const field = COLUMNS[normalizeHeader(name)];
+    if (!field) {
+      if (String(name).trim()) {
+        ignoredColumns.push(String(name).trim());
+      }
+      return;
+    }
+    if (fields.includes(field)) {
+      throw new ImportError(`More than one column is mapped to ${field}`);
+    }
+    fields[index] = field;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => !fields.includes(field));
+  if (missing.length) {
+    throw new ImportError(`Missing column(s): ${missing.join(', ')}`);
+  }
+
+  const records = dataRows
+    .filter(({ cells }) => hasContent(cells))
+    .map(({ line, cells }) => {
+      const values = {};
+      fields.forEach((field, index) => {
+        if (field) {
+          values[field] = String(cells[index] ?? '').trim();
+        }
+      });
+      return { line, values };
+    });
+
+  if (records.length === 0) {
+    throw new ImportError('The spreadsheet has no rows to import');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportError(`At most ${MAX_IMPORT_ROWS} rows can be imported at once; split the file`);
+  }
+
+  return { records, ignoredColumns };
+};
+
+/**
+ * Index the images in an uploaded zip by path and by file name (both lower case).
+ * A file name shared by several entries maps to null: rows must use the full path.
+ */
+const readImageArchive = (file) => {
+  let zip;
+  try {
+    zip = new AdmZip(file.buffer);
+  } catch (error) {
+    throw new ImportError('The images file is not a valid zip archive');
+  }
+
+  const entries = new Map();
+  let totalSize = 0;
+  zip.getEntries().forEach(entry => {
+    const entryPath = entry.entryName.replace(/\\/g, '/');
+    const name = path.posix.basename(entryPath);
+    if (entry.isDirectory || entryPath.startsWith('__MACOSX/') || name.startsWith('.')) {
+      return;
+    }
+    if (!IMAGE_EXTENSIONS.includes(path.posix.extname(name).toLowerCase())) {
+      return;
+    }
+    totalSize += entry.header.size;
+    entries.set(entryPath.toLowerCase(), entry);
+    const key = name.toLowerCase();
+    if (key !== entryPath.toLowerCase()) {
+      entries.set(key, entries.has(key) ? null : entry);
+    }
+  });
+
+  if (totalSize > MAX_ARCHIVE_TOTAL_SIZE) {
+    throw new ImportError(`The images zip is larger than ${MAX_ARCHIVE_TOTAL_SIZE / 1024 / 1024}MB uncompressed`);
+  }
+  return entries;
+};
+
+const parseImages = (value, archive, fail) => {
+  const references = String(value || '').split(/[|\n]/).map(ref => ref.trim()).filter(Boolean);
+  if (references.length === 0) {
+    fail('images', 'At least one image is required');
+    return [];
+  }
+  if (references.length > MAX_IMAGES) {
+    fail('images', `A post can have at most ${MAX_IMAGES} images`);
+    return [];
+  }
+
+  return references.map(reference => {
+    if (/^https?:\/\//i.test(reference)) {
+      try {
+        new URL(reference);
+      } catch (error) {
+        fail('images', `${reference} is not a valid URL`);
+      }
+      return { name: reference, url: reference };
+    }
+    if (!archive) {
+      fail('images', `${reference} is not a URL, and no images zip was uploaded`);
+      return null;
+    }
+    const entry = archive.get(reference.replace(/\\/g, '/').replace(/^\.?\//, '').toLowerCase());
+    if (entry === undefined) {
+      fail('images', `${reference} is not in the images zip`);
+    } else if (entry === null) {
+      fail('images', `${reference} matches more than one file in the images zip; use its path`);
+    } else if (entry.header.size > MAX_ARCHIVE_IMAGE_SIZE) {
+      fail('images', `${reference} is larger than ${MAX_ARCHIVE_IMAGE_SIZE / 1024 / 1024}MB`);
+    }
+    return entry ? { name: reference, entry } : null;
+  });
+};
+
+/**
+ * Check one record against the rules of POST /api/posts.
+ * Returns { line, errors, post, images }; post is null when there are errors.
+ */
+const validateRecord = ({ line, values }, archive, now = new Date()) => {
+  const errors = [];
+  const fail = (column, message) => errors.push({ row: line, column, message });
+
+  const title = values.title || '';
+  if (title.length < 3 || title.length > 200) {
+    fail('title', 'Title must be between 3 and 200 characters');
+  }
+
+  const description = values.description || '';
+  if (description.length < 10) {
+    fail('description', 'Description must be at least 10 characters long');
+  }
+
+  // Case-insensitive, stored with the canonical spelling
+  const category = CATEGORIES.find(value => value.toLowerCase() === (values.category || '').toLowerCase());
+  if (!category) {
+    fail('category', `Invalid category. Use one of: ${CATEGORIES.join(', ')}`);
+  }
+
+  const price = Number(values.price);
+  if (!values.price || !Number.isFinite(price) || price < 0) {
+    fail('price', 'Price must be a positive number');
+  }
+
+  let quantity = 1;
+  if (values.quantity) {
+    quantity = Number(values.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      fail('quantity', 'Quantity must be a whole number, 0 or more');
+    }
+  }
+
+  const location = values.location || null;
+  if (location && location.length > 200) {
+    fail('location', 'Location cannot exceed 200 characters');
+  }
+
+  const tags = (values.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+  const status = values.status ? values.status.toLowerCase() : undefined;
+  if (status !== undefined && !['draft', 'published'].includes(status)) {
+    fail('status', 'Status must be draft or published');
+  }
+
+  const schedule = { status: status || 'published', publishAt: null, expiresAt: null };
+  try {
+    applySchedule(schedule, {
+      status,
+      publishAt: values.publishAt || undefined,
+      expiresAt: values.expiresAt || undefined
+    }, now);
+  } catch (error) {
+    if (!(error instanceof ScheduleError)) {
+      throw error;
+    }
+    fail(/expiresAt/.test(error.message) ? 'expiresAt' : 'publishAt', error.message);
+  }
+
+  const images = parseImages(values.images, archive, fail);
+
+  return {
+    line,
+    errors,
+    images,
+    post: errors.length ? null : {
+      title,
+      description,
+      category,
+      price,
+      quantity,
+      tags,
+      location,
+      status: schedule.status,
+      publishAt: schedule.publishAt,
+      expiresAt: schedule.expiresAt
+    }
+  };
+};
+
+/**
+ * Read and check an uploaded spreadsheet (and optional images zip) without writing anything.
+ * Throws ImportError when the file as a whole can't be used (format, columns, size).
+ */
+const validateImport = async ({ file, imagesFile = null }) => {
+  if (!file) {
+    throw new ImportError('Upload the listings spreadsheet as "file"');
+  }
+  const format = detectFormat(file);
+  const archive = imagesFile ? readImageArchive(imagesFile) : null;
+  const { records, ignoredColumns } = toRecords(await readSheetRows(file, format));
+
+  const now = new Date();
+  const rows = records.map(record => validateRecord(record, archive, now));
+  const valid = rows.filter(row => row.errors.length === 0);
+
+  return {
+    format,
+    fileName: file.originalname || null,
+    ignoredColumns,
+    totalRows: rows.length,
+    validRows: valid.length,
+    invalidRows: rows.length - valid.length,
+    errors: rows.flatMap(row => row.errors),
+    rows: valid
+  };
+};
+
+const uploadImage = async (image) => {
+  try {
+    if (image.url) {
+      // Cloudinary fetches remote images itself
+      const result = await cloudinary.uploader.upload(image.url, IMAGE_UPLOAD_OPTIONS);
+      return result.secure_url;
+    }
+    return await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(IMAGE_UPLOAD_OPTIONS, (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result.secure_url);
+        }
+      }).end(image.entry.getData());
+    });
+  } catch (error) {
+    throw new ImportError(`Could not upload ${image.name}: ${error.message || error}`);
+  }
+};
+
+const createPostFromRow = async (row, { brand, user }) => {
+  const imageUrls = [];
+  try {
+    // One at a time, so a large zip isn't all in memory uncompressed
+    for (const image of row.images) {
+      imageUrls.push(await uploadImage(image));
+    }
+
+    const post = new Post({
+      ...row.post,
+      images: imageUrls,
+      author: user._id,
+      authorName: user.name,
+      authorEmail: user.email,
+      brand: brand._id,
+      brandName: brand.name
+    });
+    await post.save();
+    await recordRevision({
+      entityType: 'Post',
+      entity: post._id,
+      before: {},
+      after: snapshot('Post', post),
+      actor: user,
+      action: 'create'
+    });
+    return post;
+  } catch (error) {
+    await deleteImages(imageUrls);
+    throw error;
+  }
+};
+
+const progressPayload = (job) => ({
+  jobId: job._id,
+  userId: job.user,
+  brandId: job.brand,
+  status: job.status,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  createdCount: job.createdCount,
+  failedCount: job.failedCount,
+  progress: job.progress
+});
+
+// Create the posts one row at a time, saving progress after each
+const runImportJob = async (jobId, rows, { brand, user }) => {
+  let job = await ImportJob.findByIdAndUpdate(
+    jobId,
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+
+  try {
+    for (const row of rows) {
+      const update = { $inc: { processedRows: 1 } };
+      try {
+        const post = await createPostFromRow(row, { brand, user });
+        update.$inc.createdCount = 1;
+        update.$push = { posts: post._id };
+      } catch (error) {
+        console.error(`Import ${jobId}: row ${row.line} failed:`, error.message || error);
+        update.$inc.failedCount = 1;
+        update.$push = {
+          rowErrors: { $each: [{ row: row.line, message: error.message || 'Could not create the post' }], $slice: MAX_STORED_ERRORS }
+        };
+      }
+      job = await ImportJob.findByIdAndUpdate(jobId, update, { new: true });
+      emitEvent(EVENTS.IMPORT_PROGRESS, progressPayload(job));
+    }
+
+    await refreshBrandPostCount(brand._id);
+    job = await ImportJob.findByIdAndUpdate(
+      jobId,
+      { $set: { status: 'completed', finishedAt: new Date() } },
+      { new: true }
+    );
+  } catch (error) {
+    console.error(`Import ${jobId} failed:`, error);
+    job = await ImportJob.findByIdAndUpdate(
+      jobId,
+      { $set: { status: 'failed', error: error.message || 'Import failed', finishedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  emitEvent(EVENTS.IMPORT_FINISHED, progressPayload(job));
+  return job;
+};
+
+/**
+ * Record an import job for the valid rows of `validation` and start it in the background.
+ * Rows that failed validation are stored on the job as skipped. Returns the job.
+ */
+const startImportJob = async (validation, { brand, user }) => {
+  const job = await ImportJob.create({
+    brand: brand._id,
+    user: user._id,
+    fileName: validation.fileName,
+    format: validation.format,
+    totalRows: validation.rows.length,
+    skippedCount: validation.invalidRows,
+    rowErrors: validation.errors.slice(0, MAX_STORED_ERRORS)
+  });
+
+  setImmediate(() => {
+    runImportJob(job._id, validation.rows, { brand, user }).catch(error => {
+      console.error(`Import ${job._id} could not be finished:`, error);
+    });
+  });
+
+  return job;
+};
+
+// Scheduler job: fail imports whose server went away mid-run, so they don't show as running forever
+const failStaleImports = async () => {
+  const cutoff = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+  const stale = await ImportJob.find({
+    status: { $in: ['queued', 'running'] },
+    updatedAt: { $lt: cutoff }
+  }).select('brand');
+  if (stale.length === 0) {
+    return 0;
+  }
+
+  await ImportJob.updateMany(
+    { _id: { $in: stale.map(job => job._id) } },
+    {
+      $set: {
+        status: 'failed',
+        error: 'The import stopped before finishing. Posts created so far are kept; import the remaining rows again.',
+        finishedAt: new Date()
+      }
+    }
+  );
+  const brandIds = Array.from(new Set(stale.map(job => job.brand.toString())));
+  for (const brandId of brandIds) {
+    await refreshBrandPostCount(brandId);
+  }
+
+  console.log(`⚠️  Marked ${stale.length} interrupted import(s) as failed`);
+  return stale.length;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMNS,
+  ImportError,
+  validateImport,
+  validateRecord,
+  startImportJob,
+  runImportJob,
+  failStaleImports
+};
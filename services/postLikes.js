@@ -0,0 +1,78 @@
+const Post = require('../models/Post');
+const PostLike = require('../models/PostLike');
+
+/*
+ * Post.likes is only changed when a like record is actually created or deleted, so
+ * double clicks and concurrent requests can't push it out of step. If it ever drifts,
+ * `npm run recount-post-likes` resets it from the records.
+ */
+
+// Returns true if the like was new
+const likePost = async (postId, userId) => {
+  try {
+    await PostLike.create({ post: postId, user: userId });
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+  await Post.updateOne({ _id: postId }, { $inc: { likes: 1 } });
+  return true;
+};
+
+// Returns true if there was a like to remove
+const unlikePost = async (postId, userId) => {
+  const { deletedCount } = await PostLike.deleteOne({ post: postId, user: userId });
+  if (deletedCount === 0) {
+    return false;
+  }
+  await Post.updateOne({ _id: postId, likes: { $gt: 0 } }, { $inc: { likes: -1 } });
+  return true;
+};
+
+// Ids (as strings) of the given posts that the user has liked
+const getLikedPostIds = async (userId, postIds) => {
+  if (!userId || postIds.length === 0) {
+    return new Set();
+  }
+  const likes = await PostLike.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(likes.map(like => like.post.toString()));
+};
+
+/**
+ * Add `likedByMe` to each post for the signed-in user (omitted for anonymous callers).
+ * Accepts documents or plain objects and returns plain objects.
+ */
+const withLikedByMe = async (posts, user) => {
+  const plain = posts.map(post => (typeof post.toObject === 'function' ? post.toObject() : post));
+  if (!user) {
+    return plain;
+  }
+  const liked = await getLikedPostIds(user._id, plain.map(post => post._id));
+  return plain.map(post => ({ ...post, likedByMe: liked.has(post._id.toString()) }));
+};
+
+// Remove every like a user made, e.g. when their account is purged
+const removeLikesByUser = async (userId) => {
+  const likes = await PostLike.find({ user: userId }).select('post').lean();
+  if (likes.length === 0) {
+    return 0;
+  }
+  await PostLike.deleteMany({ user: userId });
+  await Post.bulkWrite(likes.map(like => ({
+    updateOne: {
+      filter: { _id: like.post, likes: { $gt: 0 } },
+      update: { $inc: { likes: -1 } }
+    }
+  })));
+  return likes.length;
+};
+
+module.exports = {
+  likePost,
+  unlikePost,
+  getLikedPostIds,
+  withLikedByMe,
+  removeLikesByUser
+};
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const PostLike = require('../models/PostLike');
+const Conversation = require('../models/Conversation');
+const RecentlyViewed = require('../models/RecentlyViewed');
+const { liveNowFilter } = require('./postSchedule');
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 24;
+// Only the newest matching posts are scored, so ranking stays cheap on a large catalog
+const CANDIDATE_LIMIT = 500;
+
+// What a shared trait is worth when ranking. Tags count per shared tag, up to MAX_SHARED_TAGS.
+const WEIGHTS = {
+  category: 3,
+  tag: 2,
+  brand: 1.5,
+  seller: 1,
+  price: 1
+};
+const MAX_SHARED_TAGS = 3;
+// "Similar price" is within this fraction either side
+const PRICE_BAND = 0.3;
+
+// How much each kind of interest counts towards the user's profile
+const SIGNAL_WEIGHTS = {
+  wishlist: 3,
+  like: 3,
+  chat: 2,
+  view: 1
+};
+const SIGNAL_LOOKBACK = 50;
+const PROFILE_CATEGORIES = 5;
+const PROFILE_TAGS = 20;
+const PROFILE_BRANDS = 10;
+
+const POPULATE = [
+  { path: 'author', select: 'name email photoURL' },
+  { path: 'brand', select: 'name picture' }
+];
+
+const getLimit = (value) => {
+  const requested = parseInt(value);
+  return Math.min(Math.max(Number.isNaN(requested) ? DEFAULT_LIMIT : requested, 1), MAX_LIMIT);
+};
+
+// Published and live right now: never sold, draft, expired or scheduled posts
+const availableFilter = () => ({ $and: [{ status: 'published' }, liveNowFilter()] });
+
+// Tags are user input, so they go into expressions as $literal (a leading $ would be a field path)
+const lowerTags = { $map: { input: { $ifNull: ['$tags', []] }, as: 'tag', in: { $toLower: '$$tag' } } };
+
+const priceBand = (price) => ({ $gte: price * (1 - PRICE_BAND), $lte: price * (1 + PRICE_BAND) });
+
+const priceScore = (price, weight) => ({
+  $cond: [{ $and: [{ $gte: ['$price', price * (1 - PRICE_BAND)] }, { $lte: ['$price', price * (1 + PRICE_BAND)] }] }, weight, 0]
+});
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tagMatcher = (tags) => ({ $in: tags.map(tag => new RegExp(`^${escapeRegex(tag)}$`, 'i')) });
+
+// Best-scoring candidates first; ties go to the more liked, then the newer post
+const rankCandidates = async (match, score, limit) => {
+  const posts = await Post.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $addFields: { score: { $add: score } } },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, likes: -1, createdAt: -1, _id: -1 } },
+    { $limit: limit }
+  ]);
+  return Post.populate(posts, POPULATE);
+};
+
+/**
+ * Posts like `post`: same category, shared tags, same brand and a similar price,
+ * scored with WEIGHTS. Returns plain objects with `score`.
+ */
+const findRelatedPosts = async (post, { limit = DEFAULT_LIMIT } = {}) => {
+  const tags = Array.from(new Set((post.tags || []).map(tag => tag.toLowerCase())));
+  const brandId = post.brand?._id || post.brand;
+
+  const similar = [
+    { category: post.category },
+    { brand: brandId },
+    ...(tags.length ? [{ tags: tagMatcher(tags) }] : []),
+    ...(post.price > 0 ? [{ price: priceBand(post.price) }] : [])
+  ];
+
+  const score = [
+    { $cond: [{ $eq: ['$category', post.category] }, WEIGHTS.category, 0] },
+    { $multiply: [{ $min: [{ $size: { $setIntersection: [lowerTags, { $literal: tags }] } }, MAX_SHARED_TAGS] }, WEIGHTS.tag] },
+    { $cond: [{ $eq: ['$brand', brandId] }, WEIGHTS.brand, 0] },
+    post.price > 0 ? priceScore(post.price, WEIGHTS.price) : 0
+  ];
+
+  return rankCandidates({
+    $and: [availableFilter(), { _id: { $ne: post._id } }, { $or: similar }]
+  }, score, limit);
+};
+
+const addWeight = (map, key, weight) => {
+  if (key !== null && key !== undefined && key !== '') {
+    map.set(String(key), (map.get(String(key)) || 0) + weight);
+  }
+};
+
+// Top `count` keys scaled so the strongest is worth `weight`
+const topWeights = (map, count, weight) => {
+  const entries = Array.from(map.entries()).sort((a, b) => b[1] - a[1]).slice(0, count);
+  const max = entries.length ? entries[0][1] : 0;
+  return entries.map(([key, value]) => [key, (value / max) * weight]);
+};
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * What a user is interested in, from their wishlist, likes, recently viewed posts and
+ * the posts and sellers they have chatted about. Returns null when there is nothing to go on.
+ */
+const buildInterestProfile = async (user) => {
+  const [likes, views, conversations] = await Promise.all([
+    PostLike.find({ user: user._id }).sort({ createdAt: -1 }).limit(SIGNAL_LOOKBACK).select('post').lean(),
+    RecentlyViewed.find({ user: user._id }).sort({ viewedAt: -1 }).limit(SIGNAL_LOOKBACK).select('post').lean(),
+    Conversation.find({ participants: user._id }).sort({ updatedAt: -1 }).limit(SIGNAL_LOOKBACK).select('participants post').lean()
+  ]);
+
+  // Wishlist entries are stored as the client sent them; only post IDs are usable
+  const wishlistIds = (user.wishlist || [])
+    .map(item => String(item?.id || item?._id || ''))
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const signals = new Map();
+  const addSignal = (postId, weight) => addWeight(signals, postId, weight);
+  wishlistIds.forEach(id => addSignal(id, SIGNAL_WEIGHTS.wishlist));
+  likes.forEach(like => addSignal(like.post, SIGNAL_WEIGHTS.like));
+  views.forEach(view => addSignal(view.post, SIGNAL_WEIGHTS.view));
+  conversations.forEach(conversation => addSignal(conversation.post, SIGNAL_WEIGHTS.chat));
+
+  const userId = user._id.toString();
+  const sellers = new Set();
+  conversations.forEach(conversation => {
+    conversation.participants
+      .map(participant => participant.toString())
+      .filter(id => id !== userId)
+      .forEach(id => sellers.add(id));
+  });
+
+  if (signals.size === 0 && sellers.size === 0) {
+    return null;
+  }
+
+  const seedIds = Array.from(signals.keys()).map(id => new mongoose.Types.ObjectId(id));
+  const seeds = await Post.find({ _id: { $in: seedIds } }).select('category tags brand price').lean();
+
+  const categories = new Map();
+  const tags = new Map();
+  const brands = new Map();
+  const prices = [];
+  seeds.forEach(seed => {
+    const weight = signals.get(seed._id.toString());
+    addWeight(categories, seed.category, weight);
+    (seed.tags || []).forEach(tag => addWeight(tags, tag.toLowerCase(), weight));
+    addWeight(brands, seed.brand, weight);
+    if (seed.price > 0) {
+      prices.push(seed.price);
+    }
+  });
+
+  return {
+    // Already wishlisted, liked, viewed or discussed
+    seen: seedIds,
+    categories: topWeights(categories, PROFILE_CATEGORIES, WEIGHTS.category),
+    tags: topWeights(tags, PROFILE_TAGS, WEIGHTS.tag),
+    brands: topWeights(brands, PROFILE_BRANDS, WEIGHTS.brand)
+      .map(([id, weight]) => [new mongoose.Types.ObjectId(id), weight]),
+    sellers: Array.from(sellers).map(id => new mongoose.Types.ObjectId(id)),
+    price: median(prices)
+  };
+};
+
+// Fallback when there's little to personalise with
+const findPopularPosts = (filter, limit) => Post.find({ $and: [availableFilter(), filter] })
+  .sort({ likes: -1, views: -1, createdAt: -1, _id: -1 })
+  .limit(limit)
+  .populate(POPULATE)
+  .lean();
+
+/**
+ * Personalised picks for a user, ranked against their interest profile. Posts they have
+ * already interacted with, their own posts and `exclude` (e.g. the post on screen) are
+ * left out. Topped up with popular posts when there isn't enough to go on.
+ * Returns { posts, personalised }.
+ */
+const findRecommendedPosts = async (user, { limit = DEFAULT_LIMIT, exclude = [] } = {}) => {
+  const excluded = exclude
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+  const profile = await buildInterestProfile(user);
+
+  let posts = [];
+  if (profile) {
+    const { categories, tags, brands, sellers, price } = profile;
+    const interests = [
+      ...(categories.length ? [{ category: { $in: categories.map(([category]) => category) } }] : []),
+      ...(tags.length ? [{ tags: tagMatcher(tags.map(([tag]) => tag)) }] : []),
+      ...(brands.length ? [{ brand: { $in: brands.map(([id]) => id) } }] : []),
+      ...(sellers.length ? [{ author: { $in: sellers } }] : [])
+    ];
+
+    if (interests.length) {
+      const score = [
+        ...categories.map(([category, weight]) => ({ $cond: [{ $eq: ['$category', category] }, weight, 0] })),
+        ...tags.map(([tag, weight]) => ({ $cond: [{ $in: [{ $literal: tag }, lowerTags] }, weight, 0] })),
+        ...brands.map(([id, weight]) => ({ $cond: [{ $eq: ['$brand', id] }, weight, 0] })),
+        sellers.length ? { $cond: [{ $in: ['$author', sellers] }, WEIGHTS.seller, 0] } : 0,
+        price ? priceScore(price, WEIGHTS.price) : 0
+      ];
+
+      posts = await rankCandidates({
+        $and: [
+          availableFilter(),
+          { _id: { $nin: [...profile.seen, ...excluded] } },
+          { author: { $ne: user._id } },
+          { $or: interests }
+        ]
+      }, score, limit);
+    }
+  }
+
+  const personalised = posts.length > 0;
+  if (posts.length < limit) {
+    const popular = await findPopularPosts({
+      _id: { $nin: [...excluded, ...(profile ? profile.seen : []), ...posts.map(post => post._id)] },
+      author: { $ne: user._id }
+    }, limit - posts.length);
+    posts = posts.concat(popular);
+  }
+
+  return { posts, personalised };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  WEIGHTS,
+  getLimit,
+  findRelatedPosts,
+  buildInterestProfile,
+  findRecommendedPosts
+};
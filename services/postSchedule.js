@@ -0,0 +1,178 @@
+const Post = require('../models/Post');
+const { emitEvent, EVENTS } = require('./events');
+const { recordRevision } = require('./revisions');
+const { refreshBrandPostCount } = require('./trash');
+
+// How many posts one scheduler run moves per transition
+const BATCH_SIZE = 100;
+
+class ScheduleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleError';
+  }
+}
+
+// undefined = not sent, null = clear, otherwise a Date
+const parseDate = (value, name) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '' || value === 'null') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ScheduleError(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+};
+
+/**
+ * Apply publishAt / expiresAt from a create or update request to a post
+ * (status must already be set). A future publishAt keeps the post a draft until then.
+ * Throws ScheduleError for times in the past or a conflicting status.
+ */
+const applySchedule = (post, { publishAt, expiresAt, status } = {}, now = new Date()) => {
+  const publishDate = parseDate(publishAt, 'publishAt');
+  const expiryDate = parseDate(expiresAt, 'expiresAt');
+
+  if (publishDate) {
+    if (publishDate <= now) {
+      throw new ScheduleError('publishAt must be in the future');
+    }
+    if (status !== undefined && status !== 'draft') {
+      throw new ScheduleError('A post with publishAt stays a draft until then; leave status out or set it to draft');
+    }
+    post.status = 'draft';
+    post.publishAt = publishDate;
+  } else if (publishDate === null) {
+    post.publishAt = null;
+  }
+
+  if (expiryDate) {
+    if (expiryDate <= now) {
+      throw new ScheduleError('expiresAt must be in the future');
+    }
+    post.expiresAt = expiryDate;
+  } else if (expiryDate === null) {
+    post.expiresAt = null;
+  }
+
+  const changingSchedule = status !== undefined || expiresAt !== undefined;
+  if (changingSchedule && post.status === 'published' && post.expiresAt && post.expiresAt <= now) {
+    throw new ScheduleError('This post has expired. Set a later expiresAt (or null) to publish it again');
+  }
+  if (post.status !== 'draft' && post.publishAt) {
+    // Published by hand before its time
+    post.publishAt = null;
+  }
+};
+
+/**
+ * Filter for posts that are live right now. The scheduler runs every minute, so this
+ * keeps listings from staying up past expiresAt (or showing before publishAt) in between.
+ */
+const liveNowFilter = (now = new Date()) => ({
+  $and: [
+    { $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+  ]
+});
+
+// Same test as liveNowFilter, for a post already loaded
+const isLiveNow = (post, now = new Date()) => (
+  (!post.publishAt || post.publishAt <= now) && (!post.expiresAt || post.expiresAt > now)
+);
+
+const eventPayload = (post, at) => ({
+  postId: post._id,
+  authorId: post.author,
+  brandId: post.brand,
+  title: post.title,
+  at
+});
+
+/**
+ * Move due posts from `fromStatus` on one at a time, so a post edited in the meantime
+ * (e.g. its publishAt moved) is left alone. Records a revision with the status the
+ * update left and emits `event` for each, then refreshes the postCount of their brands.
+ */
+const transitionDuePosts = async ({ fromStatus, dateField, update, event }) => {
+  const now = new Date();
+  const due = await Post.find({ status: fromStatus, [dateField]: { $lte: now } })
+    .select('_id')
+    .sort({ [dateField]: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  let moved = 0;
+  const brandIds = new Set();
+  for (const { _id } of due) {
+    const post = await Post.findOneAndUpdate(
+      { _id, status: fromStatus, [dateField]: { $lte: now } },
+      update(now),
+      { new: true }
+    ).select('author brand title status');
+    if (post) {
+      moved++;
+      await recordRevision({
+        entityType: 'Post',
+        entity: post._id,
+        before: { status: fromStatus },
+        after: { status: post.status },
+        action: 'schedule'
+      });
+      emitEvent(event, eventPayload(post, now));
+      if (post.brand) {
+        brandIds.add(post.brand.toString());
+      }
+    }
+  }
+  for (const brandId of brandIds) {
+    await refreshBrandPostCount(brandId);
+  }
+  return moved;
+};
+
+// An update pipeline, so a post with nothing in stock goes straight to sold as the
+// post model's save hook would have done
+const publishDuePosts = () => transitionDuePosts({
+  fromStatus: 'draft',
+  dateField: 'publishAt',
+  update: (now) => [{
+    $set: {
+      status: { $cond: [{ $gt: ['$quantity', 0] }, 'published', 'sold'] },
+      publishedAt: now,
+      publishAt: null
+    }
+  }],
+  event: EVENTS.POST_PUBLISHED
+});
+
+const expireDuePosts = () => transitionDuePosts({
+  fromStatus: 'published',
+  dateField: 'expiresAt',
+  update: () => ({ $set: { status: 'expired' } }),
+  event: EVENTS.POST_EXPIRED
+});
+
+// Scheduler job
+const runPostSchedule = async () => {
+  const published = await publishDuePosts();
+  const expired = await expireDuePosts();
+  if (published > 0 || expired > 0) {
+    console.log(`🗓️  Post schedule: ${published} published, ${expired} expired`);
+  }
+  return { published, expired };
+};
+
+module.exports = {
+  ScheduleError,
+  applySchedule,
+  liveNowFilter,
+  isLiveNow,
+  publishDuePosts,
+  expireDuePosts,
+  runPostSchedule
+};
@@ -0,0 +1,256 @@
+const Post = require('../models/Post');
+
+// Relative importance of each searchable field. Must match the text index on Post.
+const SEARCH_FIELD_WEIGHTS = {
+  title: 10,
+  tags: 6,
+  brandName: 4,
+  description: 2,
+  location: 2
+};
+
+// Longer queries are refused, and longer terms cut short, so regexes stay small
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 8;
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 32;
+// Terms outside this range are only matched as prefixes, never fuzzily
+const MIN_FUZZY_LENGTH = 4;
+const MAX_FUZZY_LENGTH = 20;
+const DESCRIPTION_SNIPPET_LENGTH = 160;
+
+const POPULATE = [
+  { path: 'author', select: 'name email photoURL' },
+  { path: 'brand', select: 'name picture' }
+];
+
+// "Blue-pottery  VASE!" -> ['blue', 'pottery', 'vase']
+const parseTerms = (q) => {
+  const terms = String(q || '')
+    .slice(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length >= MIN_TERM_LENGTH)
+    .map(term => term.slice(0, MAX_TERM_LENGTH));
+  return Array.from(new Set(terms)).slice(0, MAX_TERMS);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Spellings one edit away from the term: a wrong, missing or extra letter
+const fuzzyVariants = (term) => {
+  const variants = new Set();
+  for (let i = 0; i < term.length; i++) {
+    variants.add(`${escapeRegex(term.slice(0, i))}.${escapeRegex(term.slice(i + 1))}`);
+    variants.add(`${escapeRegex(term.slice(0, i))}.${escapeRegex(term.slice(i))}`);
+    variants.add(escapeRegex(term.slice(0, i) + term.slice(i + 1)));
+  }
+  variants.delete(escapeRegex(term));
+  return Array.from(variants);
+};
+
+// Alternations of exact/prefix matches, and of one-edit variants for longer terms
+const buildPatterns = (terms) => {
+  const prefix = terms.map(escapeRegex);
+  const fuzzy = terms
+    .filter(term => term.length >= MIN_FUZZY_LENGTH && term.length <= MAX_FUZZY_LENGTH)
+    .flatMap(fuzzyVariants);
+  return {
+    prefix: prefix.length ? prefix.join('|') : null,
+    fuzzy: fuzzy.length ? fuzzy.join('|') : null
+  };
+};
+
+// Anchor an alternation at the start of a word, for MongoDB queries
+const wordStart = (alternation) => `\\b(?:${alternation})`;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap each matching word in <mark>. Text is HTML-escaped first so the result is safe to render.
+const highlightText = (text, matcher) => {
+  if (!text) {
+    return null;
+  }
+  matcher.lastIndex = 0;
+  if (!matcher.test(text)) {
+    return null;
+  }
+  matcher.lastIndex = 0;
+
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(matcher)) {
+    result += escapeHtml(text.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return result + escapeHtml(text.slice(last));
+};
+
+// Trim long descriptions to a window around the first match
+const snippetAround = (text, matcher) => {
+  if (!text || text.length <= DESCRIPTION_SNIPPET_LENGTH) {
+    return text;
+  }
+  matcher.lastIndex = 0;
+  const match = matcher.exec(text);
+  matcher.lastIndex = 0;
+  const start = match ? Math.max(0, match.index - DESCRIPTION_SNIPPET_LENGTH / 4) : 0;
+  const end = Math.min(text.length, start + DESCRIPTION_SNIPPET_LENGTH);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+};
+
+/**
+ * Highlighted fragments of the fields a post matched on, e.g.
+ * { title: 'Blue <mark>pottery</mark> vase', tags: ['<mark>pottery</mark>'] }
+ */
+const buildHighlights = (post, terms) => {
+  const { prefix, fuzzy } = buildPatterns(terms);
+  const source = [prefix, fuzzy].filter(Boolean).join('|');
+  if (!source) {
+    return {};
+  }
+  // Extend each match to the end of the word so "pot" highlights "pottery"
+  const matcher = new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})[\\p{L}\\p{N}]*`, 'giu');
+
+  const highlights = {};
+  ['title', 'brandName', 'location'].forEach(field => {
+    const highlighted = highlightText(post[field], matcher);
+    if (highlighted) {
+      highlights[field] = highlighted;
+    }
+  });
+
+  const description = highlightText(snippetAround(post.description, matcher), matcher);
+  if (description) {
+    highlights.description = description;
+  }
+
+  const tags = (post.tags || []).map(tag => highlightText(tag, matcher)).filter(Boolean);
+  if (tags.length) {
+    highlights.tags = tags;
+  }
+
+  return highlights;
+};
+
+const SEARCHABLE_FIELDS = {
+  title: '$title',
+  tags: {
+    $reduce: {
+      input: { $ifNull: ['$tags', []] },
+      initialValue: '',
+      in: { $concat: ['$$value', ' ', '$$this'] }
+    }
+  },
+  brandName: { $ifNull: ['$brandName', ''] },
+  description: '$description',
+  location: { $ifNull: ['$location', ''] }
+};
+
+// Regex clause for prefixes ("pot") and typos ("potery")
+const buildFuzzyClause = (terms) => {
+  const { prefix, fuzzy } = buildPatterns(terms);
+  const anyPattern = wordStart([prefix, fuzzy].filter(Boolean).join('|'));
+  return {
+    $or: Object.keys(SEARCH_FIELD_WEIGHTS).map(field => ({
+      [field]: { $regex: anyPattern, $options: 'i' }
+    }))
+  };
+};
+
+// Relevance for fuzzy matches, using the text index weights.
+// Prefix matches score fully, one-edit matches score half.
+const buildFuzzyScore = (terms) => {
+  const { prefix, fuzzy } = buildPatterns(terms);
+  const scoreFor = (pattern, factor) => Object.entries(SEARCH_FIELD_WEIGHTS).map(([field, weight]) => ({
+    $cond: [
+      { $regexMatch: { input: SEARCHABLE_FIELDS[field], regex: pattern, options: 'i' } },
+      weight * factor,
+      0
+    ]
+  }));
+
+  return {
+    $add: [
+      ...scoreFor(wordStart(prefix), 1),
+      ...(fuzzy ? scoreFor(wordStart(fuzzy), 0.5) : [])
+    ]
+  };
+};
+
+/**
+ * Decide how to search for `q` within `filters`.
+ * The text index (stemmed whole words) is used when it finds anything; otherwise
+ * prefix/typo matching. Returns null for an empty query, else
+ * { mode: 'text' | 'fuzzy', terms, clause } where `clause` is merged into the $match.
+ */
+const resolveSearch = async (q, filters = {}) => {
+  const terms = parseTerms(q);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const textClause = { $text: { $search: terms.join(' ') } };
+  const textMatch = await Post.exists({ ...filters, ...textClause });
+  if (textMatch) {
+    return { mode: 'text', terms, clause: textClause };
+  }
+
+  return { mode: 'fuzzy', terms, clause: buildFuzzyClause(terms) };
+};
+
+// Combine filters with a search clause; $text has to sit at the top level of the match
+const withSearch = (filters, search) => {
+  if (!search) {
+    return filters;
+  }
+  if (search.mode === 'text') {
+    return { ...filters, ...search.clause };
+  }
+  return { $and: [filters, search.clause] };
+};
+
+/**
+ * Fetch one page of search results.
+ * `sort` is a Mongo sort object; when omitted results are ordered by relevance.
+ * Posts are returned as plain objects with `score` and `highlights`.
+ */
+const findSearchResults = async (search, filters, { skip = 0, limit = 20, sort = null } = {}) => {
+  const match = withSearch(filters, search);
+  let posts;
+
+  if (search.mode === 'text') {
+    posts = await Post.find(match, { score: { $meta: 'textScore' } })
+      .sort(sort || { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate(POPULATE)
+      .lean();
+  } else {
+    const docs = await Post.aggregate([
+      { $match: match },
+      { $addFields: { score: buildFuzzyScore(search.terms) } },
+      { $sort: sort || { score: -1, createdAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limit }
+    ]);
+    posts = await Post.populate(docs, POPULATE);
+  }
+
+  return posts.map(post => ({ ...post, highlights: buildHighlights(post, search.terms) }));
+};
+
+module.exports = {
+  SEARCH_FIELD_WEIGHTS,
+  MAX_QUERY_LENGTH,
+  parseTerms,
+  buildHighlights,
+  resolveSearch,
+  withSearch,
+  findSearchResults
+};
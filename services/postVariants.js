@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+
+// Option names become Map keys and query paths, so they are kept simple
+const OPTION_NAME_PATTERN = /^[a-z][a-z0-9 _-]{0,29}$/;
+const MAX_OPTIONS = 3;
+const MAX_OPTION_VALUE_LENGTH = 50;
+
+class VariantError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VariantError';
+  }
+}
+
+const normalizeOptionName = (name) => String(name).trim().toLowerCase();
+
+const toNumber = (value, name, { integer = false } = {}) => {
+  const number = Number(value);
+  if (value === '' || value === null || !Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw new VariantError(`${name} must be a non-negative ${integer ? 'whole number' : 'number'}`);
+  }
+  return number;
+};
+
+const normalizeOptions = (options, label) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new VariantError(`${label}: options must be an object such as { "size": "M" }`);
+  }
+  const entries = Object.entries(options);
+  if (entries.length === 0 || entries.length > MAX_OPTIONS) {
+    throw new VariantError(`${label}: give between 1 and ${MAX_OPTIONS} options`);
+  }
+
+  const normalized = {};
+  entries.forEach(([rawName, rawValue]) => {
+    const name = normalizeOptionName(rawName);
+    if (!OPTION_NAME_PATTERN.test(name)) {
+      throw new VariantError(`${label}: invalid option name "${rawName}"`);
+    }
+    const value = typeof rawValue === 'string' || typeof rawValue === 'number' ? String(rawValue).trim() : '';
+    if (!value || value.length > MAX_OPTION_VALUE_LENGTH) {
+      throw new VariantError(`${label}: option "${name}" needs a value of at most ${MAX_OPTION_VALUE_LENGTH} characters`);
+    }
+    normalized[name] = value;
+  });
+  return normalized;
+};
+
+// Same options regardless of key order or value case
+const combinationKey = (options) => Object.keys(options).sort()
+  .map(name => `${name}=${options[name].toLowerCase()}`)
+  .join('&');
+
+/**
+ * Validate `variants` from a create/update request (an array, or a JSON string from a
+ * multipart form). Returns plain variant objects; `images` are left as given (image
+ * indexes or URLs) for resolveVariantImages(). An empty array removes all variants.
+ * Throws VariantError.
+ */
+const parseVariants = (input) => {
+  let variants = input;
+  if (typeof input === 'string') {
+    try {
+      variants = JSON.parse(input);
+    } catch (error) {
+      throw new VariantError('variants must be a JSON array');
+    }
+  }
+  if (!Array.isArray(variants)) {
+    throw new VariantError('variants must be an array');
+  }
+  if (variants.length > Post.MAX_VARIANTS) {
+    throw new VariantError(`A post can have at most ${Post.MAX_VARIANTS} variants`);
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+  let optionNames = null;
+
+  return variants.map((variant, index) => {
+    const label = `Variant ${index + 1}`;
+    if (!variant || typeof variant !== 'object') {
+      throw new VariantError(`${label} must be an object`);
+    }
+
+    const options = normalizeOptions(variant.options, label);
+    const names = Object.keys(options).sort().join(',');
+    if (optionNames === null) {
+      optionNames = names;
+    } else if (names !== optionNames) {
+      throw new VariantError('All variants must use the same option names');
+    }
+
+    const key = combinationKey(options);
+    if (combinations.has(key)) {
+      throw new VariantError(`${label} repeats the options of another variant`);
+    }
+    combinations.add(key);
+
+    const sku = variant.sku === undefined || variant.sku === null ? '' : String(variant.sku).trim();
+    if (sku.length > 64) {
+      throw new VariantError(`${label}: SKU cannot exceed 64 characters`);
+    }
+    if (sku) {
+      if (skus.has(sku.toLowerCase())) {
+        throw new VariantError(`${label}: SKU ${sku} is used by another variant`);
+      }
+      skus.add(sku.toLowerCase());
+    }
+
+    const images = variant.images === undefined ? [] : variant.images;
+    if (!Array.isArray(images)) {
+      throw new VariantError(`${label}: images must be an array`);
+    }
+
+    return {
+      // Keep ids of existing variants stable across updates
+      ...(variant._id && mongoose.Types.ObjectId.isValid(variant._id) && { _id: variant._id }),
+      options,
+      price: toNumber(variant.price, `${label}: price`),
+      quantity: variant.quantity === undefined ? 0 : toNumber(variant.quantity, `${label}: quantity`, { integer: true }),
+      ...(sku && { sku }),
+      images
+    };
+  });
+};
+
+/**
+ * Turn variant image references into URLs from the post's `images`: either an index
+ * into that list (handy at creation, when URLs aren't known yet) or one of its URLs.
+ */
+const resolveVariantImages = (variants, postImages) => variants.map((variant, index) => ({
+  ...variant,
+  images: Array.from(new Set(variant.images.map(ref => {
+    if (Number.isInteger(ref) || (typeof ref === 'string' && /^\d+$/.test(ref))) {
+      const url = postImages[Number(ref)];
+      if (!url) {
+        throw new VariantError(`Variant ${index + 1}: image ${ref} does not exist`);
+      }
+      return url;
+    }
+    if (typeof ref !== 'string' || !postImages.includes(ref)) {
+      throw new VariantError(`Variant ${index + 1}: images must be images of the post`);
+    }
+    return ref;
+  })))
+}));
+
+module.exports = {
+  VariantError,
+  normalizeOptionName,
+  OPTION_NAME_PATTERN,
+  parseVariants,
+  resolveVariantImages
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostDailyView = require('../models/PostDailyView');
+const RecentlyViewed = require('../models/RecentlyViewed');
+
+// Repeat views from the same visitor within this window count once
+const VIEW_WINDOW_MINUTES = parseInt(process.env.POST_VIEW_WINDOW_MINUTES) || 30;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Crawlers, link previews and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|embedly|lighthouse|headless|curl|wget|python-requests|axios|node-fetch|go-http-client|okhttp|java\//i;
+
+class ViewRangeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ViewRangeError';
+  }
+}
+
+// A missing user agent is treated as a bot too
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Signed-in visitors are counted by account; others by IP and user agent, hashed so no IPs are stored.
+// req.ip only honours X-Forwarded-For from trusted proxies (TRUST_PROXY), so a client can't
+// inflate the count by sending a new forwarded address with each request.
+const visitorKeyFor = (req) => {
+  if (req.user) {
+    return `u:${req.user._id}`;
+  }
+  const ip = req.ip || req.socket?.remoteAddress || '';
+  return `a:${crypto.createHash('sha256').update(`${ip}|${req.headers['user-agent']}`).digest('hex')}`;
+};
+
+const startOfUtcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Claim the visitor's view of a post. False if they already viewed it within the window.
+const claimView = async (postId, visitorKey, now) => {
+  const expiresAt = new Date(now.getTime() + VIEW_WINDOW_MINUTES * 60 * 1000);
+  try {
+    await PostView.create({ post: postId, visitorKey, expiresAt });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  // The TTL monitor only runs every minute, so an expired record may still be there
+  const renewed = await PostView.updateOne(
+    { post: postId, visitorKey, expiresAt: { $lte: now } },
+    { $set: { expiresAt } }
+  );
+  return renewed.modifiedCount === 1;
+};
+
+/**
+ * Count a view of `post` (with its author unpopulated or populated) for this request.
+ * Bots, the author and repeat views within the window are skipped.
+ * Returns true if the view was counted.
+ */
+const recordView = async (post, req) => {
+  const authorId = (post.author?._id || post.author).toString();
+  if (req.user && req.user._id.toString() === authorId) {
+    return false;
+  }
+  if (isBot(req.headers['user-agent'])) {
+    return false;
+  }
+
+  const now = new Date();
+  if (req.user) {
+    // History for recommendations is refreshed even when the view isn't counted again
+    await RecentlyViewed.updateOne(
+      { user: req.user._id, post: post._id },
+      { $set: { viewedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  if (!await claimView(post._id, visitorKeyFor(req), now)) {
+    return false;
+  }
+
+  // $inc rather than save() so concurrent views aren't lost
+  await Promise.all([
+    Post.updateOne({ _id: post._id }, { $inc: { views: 1 } }),
+    PostDailyView.updateOne(
+      { post: post._id, date: startOfUtcDay(now) },
+      { $inc: { views: 1 }, $setOnInsert: { author: authorId } },
+      { upsert: true }
+    )
+  ]);
+  return true;
+};
+
+const parseDay = (value, name) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    throw new ViewRangeError(`${name} must be a date in YYYY-MM-DD format`);
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new ViewRangeError(`${name} is not a valid date`);
+  }
+  return date;
+};
+
+/**
+ * Daily views of a post between `from` and `to` (YYYY-MM-DD, inclusive, UTC).
+ * Defaults to the last 30 days. Days without views are included with 0.
+ */
+const getDailyViews = async (postId, { from, to } = {}) => {
+  const end = to ? parseDay(to, 'to') : startOfUtcDay(new Date());
+  const start = from ? parseDay(from, 'from') : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (start > end) {
+    throw new ViewRangeError('from cannot be after to');
+  }
+  const dayCount = Math.round((end - start) / DAY_MS) + 1;
+  if (dayCount > MAX_RANGE_DAYS) {
+    throw new ViewRangeError(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const buckets = await PostDailyView.find({ post: postId, date: { $gte: start, $lte: end } })
+    .select('date views')
+    .lean();
+  const viewsByDay = new Map(buckets.map(bucket => [bucket.date.getTime(), bucket.views]));
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const date = new Date(start.getTime() + i * DAY_MS);
+    days.push({
+      date: date.toISOString().slice(0, 10),
+      views: viewsByDay.get(date.getTime()) || 0
+    });
+  }
+
+  return {
+    from: days[0].date,
+    to: days[days.length - 1].date,
+    total: days.reduce((sum, day) => sum + day.views, 0),
+    days
+  };
+};
+
+module.exports = {
+  VIEW_WINDOW_MINUTES,
+  ViewRangeError,
+  isBot,
+  recordView,
+  getDailyViews
+};
@@ -0,0 +1,209 @@
+const Revision = require('../models/Revision');
+
+// Fields whose changes are recorded
+const TRACKED_FIELDS = {
+  Post: ['title', 'description', 'category', 'price', 'quantity', 'variants', 'tags', 'images', 'location', 'status', 'publishAt', 'expiresAt', 'deletedAt'],
+  Brand: ['name', 'bio', 'picture', 'establishedYear', 'status', 'deletedAt']
+};
+
+// Fields a rollback restores. Images are left out because replaced images are deleted
+// from Cloudinary; status and schedule are left to the seller.
+const ROLLBACK_FIELDS = {
+  Post: ['title', 'description', 'category', 'price', 'quantity', 'variants', 'tags', 'location'],
+  Brand: ['name', 'bio', 'establishedYear']
+};
+
+const MAX_ATTEMPTS = 3;
+
+class RevisionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevisionError';
+    this.status = status;
+  }
+}
+
+// Plain JSON so values compare and store the same way whatever their type
+const toJson = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The tracked fields of a document, as JSON values.
+ * Take one before changing a document and one after saving it.
+ */
+const snapshot = (entityType, doc) => {
+  const object = typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true, depopulate: true }) : doc;
+  return Object.fromEntries(TRACKED_FIELDS[entityType].map(field => [field, toJson(object[field])]));
+};
+
+const diffSnapshots = (entityType, before, after) => TRACKED_FIELDS[entityType]
+  .filter(field => field in after && !sameValue(before[field] ?? null, after[field]))
+  .map(field => ({ field, before: before[field] ?? null, after: after[field] }));
+
+/**
+ * Record a write as the entity's next revision. `before` / `after` are snapshots
+ * (pass {} as `before` for a new document). Nothing is recorded if no tracked field
+ * changed, except for creations.
+ *
+ * The write has already happened by the time this runs, so a failure is logged rather
+ * than thrown. Returns the revision or null.
+ */
+const recordRevision = async ({ entityType, entity, before, after, actor = null, action = 'update', rolledBackTo = null }) => {
+  const changes = diffSnapshots(entityType, before, after);
+  if (changes.length === 0 && action !== 'create') {
+    return null;
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const last = await Revision.findOne({ entityType, entity }).sort({ version: -1 }).select('version').lean();
+      return await Revision.create({
+        entityType,
+        entity,
+        version: (last?.version || 0) + 1,
+        action,
+        changes,
+        actor: actor?._id || null,
+        actorName: actor?.name || null,
+        rolledBackTo
+      });
+    } catch (error) {
+      // Two writes raced for the same version number; try the next one
+      if (error.code === 11000 && attempt < MAX_ATTEMPTS) {
+        continue;
+      }
+      console.error(`Failed to record ${entityType} revision for ${entity}:`, error);
+      return null;
+    }
+  }
+  return null;
+};
+
+const parseVersion = (value, name) => {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new RevisionError(`${name} must be a revision number`);
+  }
+  return version;
+};
+
+const requireVersions = async (entityType, entity, versions) => {
+  const found = await Revision.countDocuments({ entityType, entity, version: { $in: versions } });
+  if (found !== new Set(versions).size) {
+    throw new RevisionError('Revision not found', 404);
+  }
+};
+
+// Net change of each field over the revisions after `fromVersion` up to `toVersion`
+const netChanges = async (entityType, entity, fromVersion, toVersion) => {
+  const revisions = await Revision.find({
+    entityType,
+    entity,
+    version: { $gt: fromVersion, $lte: toVersion }
+  })
+    .sort({ version: 1 })
+    .select('changes')
+    .lean();
+
+  const byField = new Map();
+  revisions.forEach(revision => {
+    revision.changes.forEach(({ field, before, after }) => {
+      if (!byField.has(field)) {
+        byField.set(field, { field, before, after });
+      } else {
+        byField.get(field).after = after;
+      }
+    });
+  });
+  return Array.from(byField.values()).filter(change => !sameValue(change.before, change.after));
+};
+
+/**
+ * What changed between two revisions: for each field, its value as of `from` and as of `to`.
+ * `from` may be later than `to` to see the change in reverse.
+ */
+const compareRevisions = async (entityType, entity, from, to) => {
+  const fromVersion = parseVersion(from, 'from');
+  const toVersion = parseVersion(to, 'to');
+  await requireVersions(entityType, entity, [fromVersion, toVersion]);
+
+  const forward = fromVersion <= toVersion;
+  const changes = await netChanges(entityType, entity, Math.min(fromVersion, toVersion), Math.max(fromVersion, toVersion));
+
+  return {
+    from: fromVersion,
+    to: toVersion,
+    changes: forward
+      ? changes
+      : changes.map(({ field, before, after }) => ({ field, before: after, after: before }))
+  };
+};
+
+/**
+ * Restore a document's rollback fields to their values as of `version` and record the
+ * result as a new 'rollback' revision. Returns { revision, restored, skipped } where
+ * `skipped` lists fields changed since then that a rollback doesn't touch.
+ */
+const rollbackTo = async (entityType, doc, version, actor) => {
+  const targetVersion = parseVersion(version, 'version');
+  await requireVersions(entityType, doc._id, [targetVersion]);
+
+  const latest = await Revision.findOne({ entityType, entity: doc._id }).sort({ version: -1 }).select('version').lean();
+  const changes = await netChanges(entityType, doc._id, targetVersion, latest.version);
+
+  const restorable = changes.filter(change => ROLLBACK_FIELDS[entityType].includes(change.field) && change.before !== null);
+  const skipped = changes.map(change => change.field).filter(field => !restorable.some(change => change.field === field));
+
+  if (restorable.length === 0) {
+    return { revision: null, restored: [], skipped };
+  }
+
+  const before = snapshot(entityType, doc);
+  restorable.forEach(({ field, before: value }) => {
+    doc.set(field, value);
+  });
+  doc.updatedAt = new Date();
+  await doc.save();
+
+  const revision = await recordRevision({
+    entityType,
+    entity: doc._id,
+    before,
+    after: snapshot(entityType, doc),
+    actor,
+    action: 'rollback',
+    rolledBackTo: targetVersion
+  });
+
+  return { revision, restored: restorable.map(change => change.field), skipped };
+};
+
+// Every recorded price of a post, oldest first
+const getPriceHistory = async (postId) => {
+  const revisions = await Revision.find({ entityType: 'Post', entity: postId, 'changes.field': 'price' })
+    .sort({ version: 1 })
+    .select('version changes createdAt')
+    .lean();
+
+  return revisions.map(revision => {
+    const change = revision.changes.find(c => c.field === 'price');
+    return {
+      version: revision.version,
+      price: change.after,
+      previousPrice: change.before,
+      changedAt: revision.createdAt
+    };
+  });
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  ROLLBACK_FIELDS,
+  RevisionError,
+  snapshot,
+  recordRevision,
+  compareRevisions,
+  rollbackTo,
+  getPriceHistory
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Only the most recent rotated hashes are kept for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 20;
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found without a scan
+const createRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+  return sessionId;
+};
+
+// Short human readable description of the client, e.g. "Chrome on Android"
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 60);
+  }
+  return [browser?.[0], system?.[0]].filter(Boolean).join(' on ');
+};
+
+// req.ip only reads X-Forwarded-For through the proxies trusted with TRUST_PROXY (see server.js),
+// so clients can't pick their own IP
+const getClientInfo = (req) => {
+  const ip = req.ip || req.socket?.remoteAddress || null;
+  const userAgent = req.headers['user-agent'] || null;
+
+  return {
+    ip,
+    userAgent,
+    device: describeDevice(userAgent)
+  };
+};
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+const buildTokenResponse = (session, refreshToken) => {
+  const accessToken = signAccessToken(session.user, session._id);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id
+  };
+};
+
+// Start a new session for a user that just authenticated
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    ...getClientInfo(req),
+    refreshTokenHash: 'pending',
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = createRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return buildTokenResponse(session, refreshToken);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated revokes the whole session,
+ * since it means the token was copied.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  const nextRefreshToken = createRefreshToken(sessionId);
+  const clientInfo = getClientInfo(req);
+
+  // Atomic compare-and-swap so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        ip: clientInfo.ip,
+        userAgent: clientInfo.userAgent,
+        device: clientInfo.device
+      },
+      $push: {
+        previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES }
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return buildTokenResponse(session, nextRefreshToken);
+  }
+
+  const existing = await Session.findById(sessionId).select('+previousTokenHashes');
+  if (!existing) {
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (existing.previousTokenHashes.includes(presentedHash)) {
+    if (!existing.revokedAt) {
+      existing.revokedAt = new Date();
+      existing.revokedReason = 'refresh_token_reuse';
+      await existing.save();
+    }
+    console.warn('Refresh token reuse detected for session:', existing._id);
+    throw new SessionError('Refresh token has already been used. Please log in again.', 'REFRESH_TOKEN_REUSED');
+  }
+
+  if (existing.revokedAt) {
+    throw new SessionError('Session has been revoked', 'SESSION_REVOKED');
+  }
+  if (existing.expiresAt <= new Date()) {
+    throw new SessionError('Session has expired', 'SESSION_EXPIRED');
+  }
+  throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+};
+
+/**
+ * Verify an access token and make sure its session is still active.
+ * Throws a JsonWebTokenError for revoked or unknown sessions so callers
+ * can treat it like any other invalid token.
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET);
+
+  if (!decoded.sid) {
+    throw new jwt.JsonWebTokenError('Token is not bound to a session');
+  }
+
+  const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt');
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId.toString()) {
+    throw new jwt.JsonWebTokenError('Session has been revoked');
+  }
+
+  return decoded;
+};
+
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g. the current one)
+const revokeAllSessions = async (userId, { reason = 'logout_all', exceptSessionId = null } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ lastUsedAt: -1 })
+    .select('device userAgent ip createdAt lastUsedAt expiresAt');
+};
+
+module.exports = {
+  SessionError,
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  getClientInfo
+};
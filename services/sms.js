@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const SMS_OUTBOX_DIR = process.env.SMS_OUTBOX_DIR || path.join(__dirname, '..', 'sms-outbox');
+
+// A provider is { name, send({ to, body }) => Promise<{ messageId }> }.
+
+// Console provider - prints the message, handy for local development
+const consoleProvider = {
+  name: 'console',
+  send: async (message) => {
+    console.log('📱 SMS (console provider):');
+    console.log(`   To: ${message.to}`);
+    console.log(`   ${message.body}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+// File provider - writes each message as a JSON file so tests can read it back
+const fileProvider = {
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(SMS_OUTBOX_DIR, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const filePath = path.join(SMS_OUTBOX_DIR, `${messageId}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+    return { messageId, filePath };
+  }
+};
+
+const providerFactories = {
+  console: () => consoleProvider,
+  file: () => fileProvider
+};
+
+let activeProvider = null;
+
+// Register a real gateway (e.g. Twilio, MSG91) under a name usable in SMS_PROVIDER
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+// Replace the active provider, mainly for tests
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+const sendSms = ({ to, body }) => {
+  return getProvider().send({ to, body });
+};
+
+module.exports = {
+  sendSms,
+  registerProvider,
+  setProvider
+};
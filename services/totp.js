@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password and similar apps.
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step, allowing `window` steps of clock drift.
+ * Returns the matching time step (so callers can reject replays) or null.
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const buildOtpAuthUri = (secret, accountName, issuer = 'Craft Hindustan') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  // Authenticator apps expect %20 rather than + for spaces
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUri
+};
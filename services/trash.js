@@ -0,0 +1,161 @@
+const Post = require('../models/Post');
+const Brand = require('../models/Brand');
+const PostLike = require('../models/PostLike');
+const PostDailyView = require('../models/PostDailyView');
+const RecentlyViewed = require('../models/RecentlyViewed');
+const Revision = require('../models/Revision');
+const { deleteImages } = require('./images');
+const { snapshot, recordRevision } = require('./revisions');
+
+// Days a deleted post or brand stays restorable before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TrashError';
+    this.status = status;
+  }
+}
+
+const purgeDateFor = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// postCount is the number of published, non-deleted posts
+const refreshBrandPostCount = async (brandId) => {
+  const postCount = await Post.countDocuments({ brand: brandId, status: 'published' });
+  await Brand.updateOne({ _id: brandId }, { $set: { postCount } });
+};
+
+/*
+ * Deleting and restoring go through updateOne so older documents that no longer pass
+ * validation can still be moved in and out of the trash.
+ */
+
+const softDeletePost = async (post, actor) => {
+  const before = snapshot('Post', post);
+  post.deletedAt = new Date();
+  await Post.updateOne({ _id: post._id }, { $set: { deletedAt: post.deletedAt } });
+  await refreshBrandPostCount(post.brand);
+  await recordRevision({ entityType: 'Post', entity: post._id, before, after: snapshot('Post', post), actor, action: 'delete' });
+};
+
+// `post` must have been loaded with its deletedAt (e.g. a trash query)
+const restorePost = async (post, actor) => {
+  const brand = await Brand.findById(post.brand).select('_id');
+  if (!brand) {
+    throw new TrashError('The brand of this post is deleted. Restore the brand first.', 409);
+  }
+  const before = snapshot('Post', post);
+  post.deletedAt = null;
+  await Post.updateOne({ _id: post._id }, { $set: { deletedAt: null } });
+  await refreshBrandPostCount(post.brand);
+  await recordRevision({ entityType: 'Post', entity: post._id, before, after: snapshot('Post', post), actor, action: 'restore' });
+};
+
+// A brand's posts go to the trash with it, stamped with the same time so they come back together
+const softDeleteBrand = async (brand, actor) => {
+  const before = snapshot('Brand', brand);
+  const deletedAt = new Date();
+  brand.deletedAt = deletedAt;
+  await Post.updateMany({ brand: brand._id, deletedAt: null }, { $set: { deletedAt } });
+  await Brand.updateOne({ _id: brand._id }, { $set: { deletedAt, postCount: 0 } });
+  await recordRevision({ entityType: 'Brand', entity: brand._id, before, after: snapshot('Brand', brand), actor, action: 'delete' });
+};
+
+// Owners have one brand; a restore can't give them a second one
+const restoreBrand = async (brand, actor) => {
+  const liveBrand = await Brand.findOne({ owner: brand.owner, _id: { $ne: brand._id } }).select('_id');
+  if (liveBrand) {
+    throw new TrashError('You already have a brand. Delete it before restoring this one.', 409);
+  }
+  const before = snapshot('Brand', brand);
+  const { deletedAt } = brand;
+  brand.deletedAt = null;
+  await Brand.updateOne({ _id: brand._id }, { $set: { deletedAt: null } });
+  // Only the posts deleted along with the brand; ones deleted earlier stay in the trash
+  const { modifiedCount } = await Post.updateMany({ brand: brand._id, deletedAt }, { $set: { deletedAt: null } });
+  await refreshBrandPostCount(brand._id);
+  await recordRevision({ entityType: 'Brand', entity: brand._id, before, after: snapshot('Brand', brand), actor, action: 'restore' });
+  return modifiedCount;
+};
+
+// Permanently remove a deleted post and everything hanging off it
+const purgePost = async (post) => {
+  const { failed } = await deleteImages(post.images || []);
+  if (failed > 0) {
+    console.warn(`⚠️  ${failed} image(s) of post ${post._id} could not be removed from Cloudinary`);
+  }
+  await Promise.all([
+    PostLike.deleteMany({ post: post._id }),
+    PostDailyView.deleteMany({ post: post._id }),
+    RecentlyViewed.deleteMany({ post: post._id }),
+    Revision.deleteMany({ entityType: 'Post', entity: post._id })
+  ]);
+  await Post.deleteOne({ _id: post._id, deletedAt: { $ne: null } });
+};
+
+const purgeBrand = async (brand) => {
+  // Posts still pointing at the brand (deleted later than it) are purged first
+  const posts = await Post.find({ brand: brand._id }).setOptions({ withDeleted: true }).select('images deletedAt');
+  if (posts.some(post => !post.deletedAt)) {
+    return false;
+  }
+  for (const post of posts) {
+    await purgePost(post);
+  }
+  await deleteImages([brand.picture]);
+  await Revision.deleteMany({ entityType: 'Brand', entity: brand._id });
+  await Brand.deleteOne({ _id: brand._id, deletedAt: { $ne: null } });
+  return true;
+};
+
+// Scheduler job: purge posts and brands that have been in the trash past the retention period
+const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS);
+  let posts = 0;
+  let brands = 0;
+
+  const duePosts = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('images')
+    .limit(PURGE_BATCH_SIZE);
+  for (const post of duePosts) {
+    try {
+      await purgePost(post);
+      posts++;
+    } catch (error) {
+      console.error(`Trash purge failed for post ${post._id}:`, error);
+    }
+  }
+
+  const dueBrands = await Brand.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .select('picture')
+    .limit(PURGE_BATCH_SIZE);
+  for (const brand of dueBrands) {
+    try {
+      if (await purgeBrand(brand)) {
+        brands++;
+      }
+    } catch (error) {
+      console.error(`Trash purge failed for brand ${brand._id}:`, error);
+    }
+  }
+
+  if (posts > 0 || brands > 0) {
+    console.log(`🗑️  Purged ${posts} post(s) and ${brands} brand(s) from the trash`);
+  }
+  return { posts, brands };
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TrashError,
+  purgeDateFor,
+  refreshBrandPostCount,
+  softDeletePost,
+  restorePost,
+  softDeleteBrand,
+  restoreBrand,
+  purgeExpiredTrash
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Setting = require('../models/Setting');
+const User = require('../models/User');
+const { verifyCode } = require('./totp');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// Separate secret so a half-finished login can never be used as an access token
+const TWO_FACTOR_SECRET = process.env.TWO_FACTOR_SECRET || `${JWT_SECRET}:two-factor`;
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const ENFORCE_FOR_ADMINS_KEY = 'security.enforceTwoFactorForAdmins';
+
+// Fields that must be selected to verify a second factor
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+// Short-lived token proving the first factor (password or Google) succeeded. Its jti is
+// stored on the user, so only the latest challenge works and only until it is used.
+const createChallengeToken = async (user, method) => {
+  const jti = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.challengeId': jti } });
+  return jwt.sign(
+    { userId: user._id, method, purpose: 'two-factor' },
+    TWO_FACTOR_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE, jwtid: jti }
+  );
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, TWO_FACTOR_SECRET);
+    return decoded.purpose === 'two-factor' && decoded.jti ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Mark a challenge used. False if it already was (or a newer one replaced it), so a
+// token can't be replayed, even by requests racing each other.
+const consumeChallenge = async (challenge) => {
+  const result = await User.updateOne(
+    { _id: challenge.userId, 'twoFactor.challengeId': challenge.jti },
+    { $unset: { 'twoFactor.challengeId': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_SECRET_FIELDS.
+ * Updates the user document (replay protection, used recovery code) - the caller saves it.
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor?.enabled || !twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyCode(twoFactor.secret, code);
+    if (step === null || (twoFactor.lastUsedStep && step <= twoFactor.lastUsedStep)) {
+      return { valid: false };
+    }
+    twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = (twoFactor.recoveryCodes || []).filter(h => h !== hash);
+    if (remaining.length === (twoFactor.recoveryCodes || []).length) {
+      return { valid: false };
+    }
+    twoFactor.recoveryCodes = remaining;
+    return { valid: true, method: 'recovery_code', recoveryCodesRemaining: remaining.length };
+  }
+
+  return { valid: false };
+};
+
+const isEnforcedForAdmins = async () => {
+  return !!(await Setting.getValue(ENFORCE_FOR_ADMINS_KEY, false));
+};
+
+const setEnforcedForAdmins = (enforce, updatedBy) => {
+  return Setting.setValue(ENFORCE_FOR_ADMINS_KEY, !!enforce, updatedBy);
+};
+
+// Whether this user must have 2FA enabled (currently: admins, when enforcement is on)
+const isTwoFactorRequired = async (user) => {
+  return user.hasRole('admin') && await isEnforcedForAdmins();
+};
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  generateRecoveryCodes,
+  createChallengeToken,
+  verifyChallengeToken,
+  consumeChallenge,
+  verifySecondFactor,
+  isEnforcedForAdmins,
+  setEnforcedForAdmins,
+  isTwoFactorRequired
+};
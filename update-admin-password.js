@@ -4,9 +4,16 @@ require('dotenv').config();
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-hindustan';
 const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@crafthindustan.com';
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD;
+const MIN_PASSWORD_LENGTH = 10;
 
 async function updateAdminPassword() {
+  // No default password: it has to be provided explicitly
+  if (!ADMIN_PASSWORD || ADMIN_PASSWORD.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Set ADMIN_PASSWORD to a password of at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
   try {
     // Connect to MongoDB
     await mongoose.connect(MONGODB_URI);
@@ -32,10 +39,7 @@ async function updateAdminPassword() {
 
     console.log('✅ Admin password updated successfully!');
     console.log(`   Email: ${ADMIN_EMAIL}`);
-    console.log(`   Password: ${ADMIN_PASSWORD}`);
-    console.log('\n📝 You can now login with these credentials:');
-    console.log(`   Email: ${ADMIN_EMAIL}`);
-    console.log(`   Password: ${ADMIN_PASSWORD}`);
+    console.log('\n📝 You can now login with the new password.');
 
     process.exit(0);
   } catch (error) {
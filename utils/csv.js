@@ -0,0 +1,72 @@
+/**
+ * Parse CSV text (RFC 4180) into an array of rows, each an array of strings.
+ *
+ * Handles quoted fields with embedded commas, quotes ("") and line breaks, CRLF or
+ * LF line endings and a leading byte order mark. Blank lines are kept (as [''])
+ * so row numbers match what a spreadsheet app shows.
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Quote a field when it holds a comma, quote or line break
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF, as RFC 4180 and Excel expect)
+const toCsvRow = (values) => `${values.map(escapeCsvField).join(',')}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow
+};
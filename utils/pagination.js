@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaginationError';
+  }
+}
+
+/*
+ * Cursors are opaque to clients: base64url-encoded JSON holding either the sort
+ * key values of the last item seen (keyset pagination) or, for result sets that
+ * can't be ordered by stored fields (search relevance), an offset.
+ *
+ *   { s: 'createdAt:-1,_id:-1', v: [{ d: '2024-05-01T...' }, { o: '663...' }] }
+ *   { s: 'offset', o: 40 }
+ */
+
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return { v: value === undefined ? null : value };
+};
+
+const decodeValue = (encoded) => {
+  if (encoded && typeof encoded === 'object') {
+    if ('d' in encoded) {
+      const date = new Date(encoded.d);
+      if (!Number.isNaN(date.getTime())) {
+        return date;
+      }
+    } else if ('o' in encoded && mongoose.Types.ObjectId.isValid(encoded.o)) {
+      return new mongoose.Types.ObjectId(encoded.o);
+    } else if ('v' in encoded) {
+      return encoded.v;
+    }
+  }
+  throw new PaginationError('Invalid cursor');
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || typeof payload.s !== 'string') {
+      throw new Error('missing sort signature');
+    }
+    return payload;
+  } catch (error) {
+    throw new PaginationError('Invalid cursor');
+  }
+};
+
+// Always end with _id so the order is total and cursors are unambiguous
+const withIdTiebreaker = (sort) => {
+  if (Object.prototype.hasOwnProperty.call(sort, '_id')) {
+    return sort;
+  }
+  const direction = Object.values(sort)[0] || -1;
+  return { ...sort, _id: direction };
+};
+
+const sortSignature = (sort) => Object.entries(sort).map(([key, dir]) => `${key}:${dir}`).join(',');
+
+const getPath = (doc, path) => {
+  if (typeof doc.get === 'function') {
+    return doc.get(path);
+  }
+  return path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+};
+
+// Unpopulated value of a ref path (populate replaces the id with a document)
+const getSortValue = (doc, path) => {
+  const value = getPath(doc, path);
+  return value && value._id && !(value instanceof mongoose.Types.ObjectId) ? value._id : value;
+};
+
+const keysetCursor = (doc, sort) => encodeCursor({
+  s: sortSignature(sort),
+  v: Object.keys(sort).map(key => encodeValue(getSortValue(doc, key)))
+});
+
+const offsetCursor = (offset) => encodeCursor({ s: 'offset', o: offset });
+
+/**
+ * Filter selecting documents strictly after (or before) the cursor position in `sort` order:
+ * (a > x) OR (a = x AND b > y) OR ...
+ */
+const keysetFilter = (sort, values, backwards) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, index) => {
+      const condition = {};
+      keys.slice(0, index).forEach((previous, i) => {
+        condition[previous] = values[i];
+      });
+      const ascending = sort[key] === 1;
+      condition[key] = { [ascending !== backwards ? '$gt' : '$lt']: values[index] };
+      return condition;
+    })
+  };
+};
+
+const invertSort = (sort) => Object.fromEntries(
+  Object.entries(sort).map(([key, dir]) => [key, -dir])
+);
+
+/**
+ * Read pagination parameters from a request query.
+ *
+ * - `after` / `before`: cursor from a previous response (cursor mode)
+ * - `page`: 1-based page number (offset mode, kept for older clients; also runs a count)
+ * - `limit`: page size, capped at maxLimit
+ *
+ * Without a cursor the request is in page mode (page 1 by default), so clients that
+ * never send `page` keep getting currentPage, total and totalPages. Listings that
+ * never had page numbers can pass defaultMode: 'cursor' to skip the count.
+ */
+const getPageParams = (query = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT, defaultMode = 'page' } = {}) => {
+  const requested = parseInt(query.limit);
+  const limit = Math.min(Math.max(Number.isNaN(requested) ? defaultLimit : requested, 1), maxLimit);
+
+  if (query.after && query.before) {
+    throw new PaginationError('Use either after or before, not both');
+  }
+
+  if (query.after || query.before) {
+    return {
+      mode: 'cursor',
+      limit,
+      cursor: decodeCursor(query.after || query.before),
+      backwards: !!query.before
+    };
+  }
+
+  if (query.page !== undefined || defaultMode === 'page') {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { mode: 'page', limit, page, skip: (page - 1) * limit };
+  }
+
+  return { mode: 'cursor', limit, cursor: null, backwards: false };
+};
+
+/**
+ * Offset to start from for result sets paged by offset cursors (e.g. search by relevance).
+ * Accepts page params in either mode.
+ */
+const getOffset = (pageParams) => {
+  if (pageParams.mode === 'page') {
+    return pageParams.skip;
+  }
+  if (!pageParams.cursor) {
+    return 0;
+  }
+  if (pageParams.cursor.s !== 'offset' || !Number.isInteger(pageParams.cursor.o) || pageParams.cursor.o < 0) {
+    throw new PaginationError('Cursor does not match this listing');
+  }
+  const offset = pageParams.backwards
+    ? pageParams.cursor.o - pageParams.limit
+    : pageParams.cursor.o;
+  return Math.max(offset, 0);
+};
+
+/**
+ * Page info for a result set fetched with getOffset() and limit + 1 items
+ * (the extra item only tells whether there is more).
+ */
+const offsetPageInfo = (pageParams, offset, fetchedCount, total = undefined) => {
+  const hasMore = fetchedCount > pageParams.limit;
+  const returned = Math.min(fetchedCount, pageParams.limit);
+  const info = {
+    limit: pageParams.limit,
+    hasMore,
+    nextCursor: hasMore ? offsetCursor(offset + returned) : null,
+    prevCursor: offset > 0 ? offsetCursor(offset) : null
+  };
+  if (pageParams.mode === 'page') {
+    info.currentPage = pageParams.page;
+    info.total = total;
+    info.totalPages = Math.ceil(total / pageParams.limit);
+  }
+  return info;
+};
+
+/**
+ * Fetch one page of `Model.find(filter)` sorted by `sort`.
+ *
+ * Cursor mode uses keyset pagination: no skip and no count, and pages don't shift
+ * when new documents arrive. Page mode keeps the old skip/limit + count behaviour.
+ * `prepare(query)` can add populate/select to the Mongoose query.
+ *
+ * Returns { items, pageInfo }; spread pageInfo into the response.
+ */
+const paginate = async (Model, filter, pageParams, { sort, prepare = (query) => query } = {}) => {
+  const sortSpec = withIdTiebreaker(sort);
+  const { limit } = pageParams;
+
+  if (pageParams.mode === 'page') {
+    const [items, total] = await Promise.all([
+      prepare(Model.find(filter).sort(sortSpec).skip(pageParams.skip).limit(limit + 1)).exec(),
+      Model.countDocuments(filter)
+    ]);
+    const info = offsetPageInfo(pageParams, pageParams.skip, items.length, total);
+    const page = items.slice(0, limit);
+    // Let page-mode clients switch to cursors from here
+    info.nextCursor = info.hasMore ? keysetCursor(page[page.length - 1], sortSpec) : null;
+    info.prevCursor = null;
+    return { items: page, pageInfo: info };
+  }
+
+  const { cursor, backwards } = pageParams;
+  let query = filter;
+  if (cursor) {
+    if (cursor.s !== sortSignature(sortSpec) || !Array.isArray(cursor.v) || cursor.v.length !== Object.keys(sortSpec).length) {
+      throw new PaginationError('Cursor does not match this listing or sort order');
+    }
+    const values = cursor.v.map(decodeValue);
+    query = { $and: [filter, keysetFilter(sortSpec, values, backwards)] };
+  }
+
+  const fetched = await prepare(
+    Model.find(query).sort(backwards ? invertSort(sortSpec) : sortSpec).limit(limit + 1)
+  ).exec();
+
+  const hasMore = fetched.length > limit;
+  const items = fetched.slice(0, limit);
+  if (backwards) {
+    items.reverse();
+  }
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pageInfo: {
+      limit,
+      // Going backwards, the page we came from is always ahead
+      hasMore: backwards ? true : hasMore,
+      nextCursor: last && (backwards || hasMore) ? keysetCursor(last, sortSpec) : null,
+      prevCursor: first && (backwards ? hasMore : !!cursor) ? keysetCursor(first, sortSpec) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  PaginationError,
+  getPageParams,
+  getOffset,
+  offsetPageInfo,
+  paginate
+};